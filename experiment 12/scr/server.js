@@ -1,74 +1,358 @@
 const express = require("express");
+const crypto = require("crypto");
 const app = express();
 const PORT = 3000;
 
 app.use(express.json());
 
- 
-const seats = {};
-const totalSeats = 10;
+
 const lockDuration = 60 * 1000; // 1 minute in ms
+const maxLockExtensions = 2; // each extension adds another lockDuration
 
- 
-for (let i = 1; i <= totalSeats; i++) {
-  seats[i] = { status: "available", lockUntil: null };
+// Admin routes need this in the X-Admin-Key header. There is no default.
+const ADMIN_KEY = process.env.ADMIN_KEY;
+if (!ADMIN_KEY) {
+  console.error("ADMIN_KEY is not set. Start the server with ADMIN_KEY=<a long random secret>.");
+  process.exit(1);
 }
 
- 
-app.get("/seats", (req, res) => {
-  res.json(seats);
+// Maps rather than plain objects, so ids taken from the URL or body
+// ("constructor", "__proto__") can never hit Object.prototype
+// venueId -> { id, name, sections: [{ name, rows: [{ label, seats }] }] }
+const venues = new Map();
+// showId -> { id, title, venueId, startsAt, seats: { seatId: seat } }
+// seat: { status, lockUntil, holdId, holdTokenHash, extensions }
+const shows = new Map();
+
+let nextVenueNumber = 1;
+let nextShowNumber = 1;
+
+
+// Seat ids are the row label plus the seat number ("A1", "B12"), so row
+// labels must be unique within a venue
+const venueSeatIds = (venue) => venue.sections.flatMap((section) =>
+  section.rows.flatMap((row) =>
+    Array.from({ length: row.seats }, (_, index) => `${row.label}${index + 1}`)
+  )
+);
+
+// Checks a venue body. Returns an error message, or null if it is valid.
+const validateVenue = ({ name, sections }) => {
+  if (typeof name !== "string" || !name.trim()) {
+    return "name is required";
+  }
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return "sections must be a non-empty array of { name, rows: [{ label, seats }] }";
+  }
+
+  const rowLabels = new Set();
+  for (const section of sections) {
+    if (!section || typeof section.name !== "string" || !section.name.trim()) {
+      return "every section needs a name";
+    }
+
+    if (!Array.isArray(section.rows) || section.rows.length === 0) {
+      return `section ${section.name} needs at least one row`;
+    }
+
+    for (const row of section.rows) {
+      if (!row || typeof row.label !== "string" || !/^[A-Za-z]{1,3}$/.test(row.label)) {
+        return `rows in section ${section.name} need a label of 1-3 letters`;
+      }
+
+      if (!Number.isInteger(row.seats) || row.seats < 1 || row.seats > 200) {
+        return `row ${row.label} needs between 1 and 200 seats`;
+      }
+
+      if (rowLabels.has(row.label.toUpperCase())) {
+        return `row ${row.label} appears more than once`;
+      }
+      rowLabels.add(row.label.toUpperCase());
+    }
+  }
+
+  return null;
+};
+
+const createVenue = ({ name, sections }) => {
+  const venue = {
+    id: `venue-${nextVenueNumber++}`,
+    name: name.trim(),
+    sections: sections.map((section) => ({
+      name: section.name.trim(),
+      rows: section.rows.map((row) => ({ label: row.label.toUpperCase(), seats: row.seats }))
+    }))
+  };
+
+  venues.set(venue.id, venue);
+  return venue;
+};
+
+const releaseSeat = (seat) => Object.assign(seat, {
+  status: "available",
+  lockUntil: null,
+  holdId: null,
+  holdTokenHash: null,
+  extensions: 0
 });
 
- 
-app.post("/lock/:id", (req, res) => {
-  const seatId = req.params.id;
-  const seat = seats[seatId];
+// Every show starts with all of its venue's seats available
+const createShow = ({ title, venueId, startsAt }) => {
+  const show = {
+    id: `show-${nextShowNumber++}`,
+    title: title.trim(),
+    venueId,
+    startsAt: new Date(startsAt).toISOString(),
+    seats: {}
+  };
 
-  if (!seat) {
-    return res.status(404).json({ message: "Seat not found" });
+  for (const seatId of venueSeatIds(venues.get(venueId))) {
+    show.seats[seatId] = releaseSeat({});
   }
 
+  shows.set(show.id, show);
+  return show;
+};
+
+// Expired locks are released whenever the seat is looked at
+const seatState = (seat) => {
+  if (seat.status === "locked" && seat.lockUntil <= Date.now()) {
+    releaseSeat(seat);
+  }
+  return seat;
+};
+
+// Only a hash of the hold token is kept
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest();
+
+// Hold token from the X-Hold-Token header or the holdToken body field
+const holdTokenFrom = (req) => req.headers["x-hold-token"] || (req.body && req.body.holdToken);
+
+// Sends 403 (and returns false) unless the request carries this seat's hold token
+const requireHolder = (req, res, seat) => {
+  const token = holdTokenFrom(req);
+
+  if (typeof token !== "string" || !crypto.timingSafeEqual(hashToken(token), seat.holdTokenHash)) {
+    res.status(403).json({ message: "A valid hold token for this seat is required (X-Hold-Token header or holdToken in the body)" });
+    return false;
+  }
+  return true;
+};
+
+const showSummary = (show) => ({
+  id: show.id,
+  title: show.title,
+  startsAt: show.startsAt,
+  venue: { id: show.venueId, name: venues.get(show.venueId).name },
+  availableSeats: Object.values(show.seats).filter((seat) => seatState(seat).status === "available").length
+});
+
+// Finds the show and seat from :showId and :seatId, or sends a 404
+const findShowSeat = (req, res) => {
+  const show = shows.get(req.params.showId);
+  if (!show) {
+    res.status(404).json({ message: "Show not found" });
+    return null;
+  }
+
+  // Own-property lookup, as for shows and venues
+  const seatId = req.params.seatId.toUpperCase();
+  if (!Object.prototype.hasOwnProperty.call(show.seats, seatId)) {
+    res.status(404).json({ message: "Seat not found" });
+    return null;
+  }
+
+  return { show, seatId, seat: seatState(show.seats[seatId]) };
+};
+
+const requireAdmin = (req, res, next) => {
+  const key = req.headers["x-admin-key"];
+
+  if (typeof key !== "string" || !crypto.timingSafeEqual(hashToken(key), hashToken(ADMIN_KEY))) {
+    return res.status(401).json({ message: "Admin key required (X-Admin-Key header)" });
+  }
+  next();
+};
+
+
+// Demo data: one small hall with the original 10 seats and one show
+const demoVenue = createVenue({
+  name: "Main Hall",
+  sections: [{ name: "Stalls", rows: [{ label: "A", seats: 10 }] }]
+});
+createShow({
+  title: "Opening Night",
+  venueId: demoVenue.id,
+  startsAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+});
+
+
+app.get("/venues", (req, res) => {
+  res.json([...venues.values()]);
+});
+
+app.get("/shows", (req, res) => {
+  res.json([...shows.values()].map(showSummary));
+});
+
+// Seat map for one show: sections -> rows -> seats with their status
+app.get("/shows/:showId/seats", (req, res) => {
+  const show = shows.get(req.params.showId);
+  if (!show) {
+    return res.status(404).json({ message: "Show not found" });
+  }
+
+  const venue = venues.get(show.venueId);
+  res.json({
+    ...showSummary(show),
+    sections: venue.sections.map((section) => ({
+      name: section.name,
+      rows: section.rows.map((row) => ({
+        label: row.label,
+        seats: Array.from({ length: row.seats }, (_, index) => {
+          const seatId = `${row.label}${index + 1}`;
+          const seat = seatState(show.seats[seatId]);
+          return {
+            id: seatId,
+            label: `${section.name} ${row.label}${index + 1}`,
+            status: seat.status,
+            lockUntil: seat.lockUntil
+          };
+        })
+      }))
+    }))
+  });
+});
+
+
+app.post("/shows/:showId/lock/:seatId", (req, res) => {
+  const found = findShowSeat(req, res);
+  if (!found) return;
+  const { show, seatId, seat } = found;
+
   if (seat.status === "booked") {
     return res.status(400).json({ message: "Seat already booked" });
   }
 
- 
-  if (seat.status === "locked" && seat.lockUntil > Date.now()) {
+
+  if (seat.status === "locked") {
     return res.status(400).json({ message: "Seat is already locked" });
   }
 
-  // Lock seat
+  // Lock seat. The token is only returned here; confirm, release and
+  // extend all require it.
+  const holdToken = crypto.randomBytes(24).toString("base64url");
   seat.status = "locked";
   seat.lockUntil = Date.now() + lockDuration;
+  seat.holdId = crypto.randomUUID();
+  seat.holdTokenHash = hashToken(holdToken);
+  seat.extensions = 0;
 
+  res.json({
+    message: `Seat ${seatId} for ${show.title} locked successfully. Confirm within 1 minute.`,
+    holdId: seat.holdId,
+    holdToken,
+    lockUntil: new Date(seat.lockUntil).toISOString(),
+    extensionsRemaining: maxLockExtensions
+  });
+});
 
-  setTimeout(() => {
-    if (seat.status === "locked" && seat.lockUntil <= Date.now()) {
-      seat.status = "available";
-      seat.lockUntil = null;
-    }
-  }, lockDuration);
+// Extend a lock (holder only), at most maxLockExtensions times
+app.post("/shows/:showId/lock/:seatId/extend", (req, res) => {
+  const found = findShowSeat(req, res);
+  if (!found) return;
+  const { seatId, seat } = found;
+
+  if (seat.status !== "locked") {
+    return res.status(400).json({ message: "Seat is not locked" });
+  }
+
+  if (!requireHolder(req, res, seat)) return;
+
+  if (seat.extensions >= maxLockExtensions) {
+    return res.status(400).json({ message: `Lock has already been extended ${maxLockExtensions} times` });
+  }
+
+  seat.extensions += 1;
+  seat.lockUntil += lockDuration;
 
-  res.json({ message: `Seat ${seatId} locked successfully. Confirm within 1 minute.` });
+  res.json({
+    message: `Lock on seat ${seatId} extended`,
+    holdId: seat.holdId,
+    lockUntil: new Date(seat.lockUntil).toISOString(),
+    extensionsRemaining: maxLockExtensions - seat.extensions
+  });
 });
 
-// ✅ Confirm a locked seat
-app.post("/confirm/:id", (req, res) => {
-  const seatId = req.params.id;
-  const seat = seats[seatId];
+// Release a lock early (holder only)
+app.delete("/shows/:showId/lock/:seatId", (req, res) => {
+  const found = findShowSeat(req, res);
+  if (!found) return;
+  const { seatId, seat } = found;
 
-  if (!seat) {
-    return res.status(404).json({ message: "Seat not found" });
+  if (seat.status !== "locked") {
+    return res.status(400).json({ message: "Seat is not locked" });
   }
 
-  if (seat.status !== "locked" || seat.lockUntil < Date.now()) {
+  if (!requireHolder(req, res, seat)) return;
+
+  releaseSeat(seat);
+
+  res.json({ message: `Seat ${seatId} released` });
+});
+
+// ✅ Confirm a locked seat (holder only)
+app.post("/shows/:showId/confirm/:seatId", (req, res) => {
+  const found = findShowSeat(req, res);
+  if (!found) return;
+  const { show, seatId, seat } = found;
+
+  if (seat.status !== "locked") {
     return res.status(400).json({ message: "Seat is not locked and cannot be booked" });
   }
 
+  if (!requireHolder(req, res, seat)) return;
+
+  const { holdId } = seat;
+  releaseSeat(seat);
   seat.status = "booked";
-  seat.lockUntil = null;
 
-  res.json({ message: `Seat ${seatId} booked successfully!` });
+  res.json({ message: `Seat ${seatId} for ${show.title} booked successfully!`, holdId });
+});
+
+
+// 🔑 Admin: create a venue
+// Body: { "name": "Grand Theatre", "sections": [{ "name": "Stalls", "rows": [{ "label": "A", "seats": 12 }] }] }
+app.post("/admin/venues", requireAdmin, (req, res) => {
+  const problem = validateVenue(req.body || {});
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  const venue = createVenue(req.body);
+  res.status(201).json({ message: "Venue created", venue, totalSeats: venueSeatIds(venue).length });
+});
+
+// 🔑 Admin: create a show at a venue
+// Body: { "title": "Hamlet", "venueId": "venue-1", "startsAt": "2025-06-01T19:30:00Z" }
+app.post("/admin/shows", requireAdmin, (req, res) => {
+  const { title, venueId, startsAt } = req.body || {};
+
+  if (typeof title !== "string" || !title.trim()) {
+    return res.status(400).json({ message: "title is required" });
+  }
+
+  if (!venues.has(venueId)) {
+    return res.status(404).json({ message: "Venue not found" });
+  }
+
+  if (typeof startsAt !== "string" || Number.isNaN(Date.parse(startsAt))) {
+    return res.status(400).json({ message: "startsAt must be a valid date" });
+  }
+
+  const show = createShow({ title, venueId, startsAt });
+  res.status(201).json({ message: "Show created", show: showSummary(show) });
 });
 
 // Start server
@@ -1,30 +1,182 @@
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger, requestLogger } = require('../shared/logging');
+const { createMetrics, createHealthChecks } = require('../shared/metrics');
+const { validate, invalidJsonHandler } = require('../shared/validation');
 const app = express();
 const PORT = 3000;
 
+// API keys are persisted (hashed) to this JSON file
+const KEYS_FILE = process.env.KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json');
+const DEFAULT_KEY_LIFETIME_DAYS = 90;
+const MAX_KEY_LIFETIME_DAYS = 365;
+// lastUsedAt is only refreshed (and the key file rewritten) this often per key
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// ==============================================
+// MIDDLEWARE 1: Request Logger (Global)
+// ==============================================
+// One JSON line per request with its X-Request-Id, status, duration and
+// API key. Set LOG_LEVEL and LOG_FILE to configure (see shared/logging.js).
+const logger = createLogger({ service: 'middleware-demo' });
+
+// Apply logging middleware globally to all routes
+app.use(requestLogger(logger));
+
+// Request counters and latency histograms for /metrics
+const metrics = createMetrics();
+app.use(metrics.middleware);
+
 // Middleware to parse JSON request bodies
 app.use(express.json());
 
 // ==============================================
-// MIDDLEWARE 1: Request Logger (Global)
+// API KEY STORE
 // ==============================================
-const requestLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.url;
+
+// Scopes a key can be granted. Each protected route requires one.
+const SCOPES = {
+  'data:read': 'Read protected data (GET /api/protected)',
+  'data:write': 'Submit protected data (POST /api/protected/data)',
+  'keys:manage': 'Create, list, rotate and revoke API keys'
+};
+
+// Keys look like "mk_<id>_<secret>". Only a SHA-256 of the full key is
+// stored; the id lets us find the record without scanning every hash.
+let apiKeys = {};
+let keysLoaded = false;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = (id) => `mk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+const loadKeys = async () => {
+  try {
+    apiKeys = JSON.parse(await fs.promises.readFile(KEYS_FILE, 'utf8'));
+    console.log(`✅ Loaded ${Object.keys(apiKeys).length} API keys from ${KEYS_FILE}`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    apiKeys = {};
+  }
+  keysLoaded = true;
+};
+
+// Writes are serialised and go through a temp file + rename
+let saveQueue = Promise.resolve();
+
+const saveKeys = () => {
+  const snapshot = JSON.stringify(apiKeys, null, 2);
+  const tempFile = `${KEYS_FILE}.tmp`;
   
-  console.log(`[${timestamp}] ${method} ${url}`);
+  saveQueue = saveQueue
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(KEYS_FILE), { recursive: true });
+      await fs.promises.writeFile(tempFile, snapshot);
+      await fs.promises.rename(tempFile, KEYS_FILE);
+    });
   
-  next(); // Pass control to the next middleware
+  return saveQueue;
 };
 
-// Apply logging middleware globally to all routes
-app.use(requestLogger);
+const findKeyRecord = (id) => (
+  Object.prototype.hasOwnProperty.call(apiKeys, id) ? apiKeys[id] : undefined
+);
+
+const keyStatus = (record) => {
+  if (record.revokedAt) return 'revoked';
+  if (new Date(record.expiresAt).getTime() <= Date.now()) return 'expired';
+  return 'active';
+};
+
+// Creates a key record and returns the plaintext key (shown only once)
+const createKey = ({ name, scopes, expiresAt, createdBy }) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = generateKey(id);
+  
+  apiKeys[id] = {
+    id,
+    name,
+    scopes,
+    keyHash: hashKey(key),
+    keyPreview: `${key.slice(0, 22)}...`,
+    createdAt: new Date().toISOString(),
+    createdBy,
+    expiresAt,
+    lastUsedAt: null,
+    rotatedAt: null,
+    revokedAt: null
+  };
+  
+  return { key, record: apiKeys[id] };
+};
+
+// Public view of a key record (never exposes the hash)
+const formatKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  scopes: record.scopes,
+  keyPreview: record.keyPreview,
+  status: keyStatus(record),
+  createdAt: record.createdAt,
+  createdBy: record.createdBy,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  rotatedAt: record.rotatedAt,
+  revokedAt: record.revokedAt
+});
+
+// Looks up a presented key; returns the record only if the hash matches
+const verifyKey = (key) => {
+  const match = /^mk_([0-9a-f]{16})_[A-Za-z0-9_-]+$/.exec(key);
+  const record = match && findKeyRecord(match[1]);
+  if (!record) return undefined;
+  
+  const expected = Buffer.from(record.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? record : undefined;
+};
+
+// Sets lastUsedAt unless it was set less than LAST_USED_UPDATE_INTERVAL_MS
+// ago. Returns true if it changed and the keys need saving.
+const touchKey = (record) => {
+  const now = Date.now();
+  if (record.lastUsedAt && now - Date.parse(record.lastUsedAt) < LAST_USED_UPDATE_INTERVAL_MS) {
+    return false;
+  }
+  record.lastUsedAt = new Date(now).toISOString();
+  return true;
+};
+
+// On first start there are no keys, so create an admin key and print it
+// once. Without it nobody could call /api/keys.
+const ensureBootstrapKey = async () => {
+  const hasAdminKey = Object.values(apiKeys).some((record) => (
+    keyStatus(record) === 'active' && record.scopes.includes('keys:manage')
+  ));
+  if (hasAdminKey) return;
+  
+  const expiresAt = new Date(Date.now() + MAX_KEY_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { key } = createKey({
+    name: 'bootstrap-admin',
+    scopes: Object.keys(SCOPES),
+    expiresAt,
+    createdBy: 'system'
+  });
+  await saveKeys();
+  
+  console.log(`\n🔑 Created bootstrap admin API key (shown only once, store it safely):`);
+  console.log(`   ${key}\n`);
+};
 
 // ==============================================
-// MIDDLEWARE 2: Bearer Token Authentication
+// MIDDLEWARE 2: API Key Authentication
 // ==============================================
-const authenticateToken = (req, res, next) => {
+// authenticateToken('data:read') accepts a valid, unexpired, unrevoked
+// API key that has every listed scope
+const authenticateToken = (...requiredScopes) => (req, res, next) => {
   const authHeader = req.headers['authorization'];
   
   // Check if Authorization header exists
@@ -38,32 +190,282 @@ const authenticateToken = (req, res, next) => {
   // Extract token from "Bearer <token>" format
   const token = authHeader.split(' ')[1];
   
-  // Check if token exists and is valid
-  if (!token || token !== 'mysecrettoken') {
+  // Check if token exists and is a known key
+  const record = token ? verifyKey(token) : undefined;
+  if (!record) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'Invalid or missing Bearer token'
     });
   }
   
+  const status = keyStatus(record);
+  if (status !== 'active') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key has been ${status}`
+    });
+  }
+  
+  // Check the key is allowed to use this route
+  const missingScopes = requiredScopes.filter((scope) => !record.scopes.includes(scope));
+  if (missingScopes.length > 0) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'API key does not have the required scope for this route',
+      requiredScopes: missingScopes
+    });
+  }
+  
+  // Record usage once the response is sent, without holding up the
+  // request. Rate-limited requests do not count as use.
+  res.on('finish', () => {
+    if (res.statusCode !== 429 && touchKey(record)) {
+      saveKeys().catch((err) => req.log.error('Failed to save API keys', { error: err }));
+    }
+  });
+  
+  req.apiKey = { id: record.id, name: record.name, scopes: record.scopes };
+  
   // Token is valid, proceed to the next middleware/route
   next();
 };
 
+// ==============================================
+// REQUEST SCHEMAS (see shared/validation.js)
+// ==============================================
+const SCHEMAS = {
+  protectedData: {
+    body: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+      age: { type: 'integer', min: 0, max: 150 },
+      email: { type: 'string', format: 'email', maxLength: 254 },
+      tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } }
+    }
+  },
+  createKey: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100, pattern: /\S/, patternMessage: 'must not be blank' },
+      scopes: { type: 'array', required: true, minItems: 1, items: { type: 'string', enum: Object.keys(SCOPES) } },
+      expiresAt: {
+        type: 'string',
+        format: 'date-time',
+        check: (value) => {
+          const expiry = Date.parse(value);
+          if (expiry <= Date.now()) return 'must be in the future';
+          if (expiry > Date.now() + MAX_KEY_LIFETIME_DAYS * 24 * 60 * 60 * 1000) {
+            return `cannot be more than ${MAX_KEY_LIFETIME_DAYS} days away`;
+          }
+          return undefined;
+        }
+      }
+    }
+  },
+  keyId: {
+    params: {
+      id: { type: 'string', pattern: /^[0-9a-f]{16}$/, patternMessage: 'must be a 16 character hex key id' }
+    }
+  }
+};
+
+// Expiry for a new key: as requested, or the default lifetime
+const keyExpiry = (expiresAt) => new Date(
+  expiresAt === undefined ? Date.now() + DEFAULT_KEY_LIFETIME_DAYS * 24 * 60 * 60 * 1000 : Date.parse(expiresAt)
+).toISOString();
+
+// ==============================================
+// MIDDLEWARE 3: Rate Limiting
+// ==============================================
+
+// A store keeps limiter state per key. Any object with these methods can
+// be passed as `store` (e.g. one backed by Redis for several instances):
+//
+//   update(key, ttlMs, fn) -> Promise<state>
+//     Atomically replaces the state for `key` with fn(previousState),
+//     where previousState is undefined if there is none or it expired,
+//     and keeps the new state for ttlMs.
+//   reset(key) -> Promise<void>
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+  
+  // Drop expired entries now and then so idle keys do not pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweeper.unref();
+  
+  return {
+    update: async (key, ttlMs, fn) => {
+      const now = Date.now();
+      const entry = entries.get(key);
+      const state = fn(entry && entry.expiresAt > now ? entry.state : undefined);
+      
+      entries.set(key, { state, expiresAt: now + ttlMs });
+      return state;
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+// Strategies turn the stored state into a decision. Each returns
+// { allowed, limit, remaining, resetSeconds, retryAfterSeconds, policy }.
+const fixedWindow = ({ limit, windowMs }) => ({
+  ttlMs: windowMs,
+  
+  consume: async (store, key) => {
+    const now = Date.now();
+    const state = await store.update(key, windowMs, (previous) => {
+      // Start a new window once the previous one has ended
+      const current = previous && now - previous.windowStart < windowMs
+        ? previous
+        : { windowStart: now, count: 0 };
+      return { ...current, count: current.count + 1 };
+    });
+    
+    const resetSeconds = Math.max(Math.ceil((state.windowStart + windowMs - now) / 1000), 0);
+    
+    return {
+      allowed: state.count <= limit,
+      limit,
+      remaining: Math.max(limit - state.count, 0),
+      resetSeconds,
+      retryAfterSeconds: resetSeconds,
+      policy: `${limit};w=${Math.round(windowMs / 1000)}`
+    };
+  }
+});
+
+// Allows bursts of up to `capacity` requests, refilled at refillPerSecond
+const tokenBucket = ({ capacity, refillPerSecond }) => {
+  const ttlMs = Math.ceil((capacity / refillPerSecond) * 1000);
+  
+  return {
+    ttlMs,
+    
+    consume: async (store, key) => {
+      const now = Date.now();
+      let allowed = false;
+      
+      const state = await store.update(key, ttlMs, (previous) => {
+        const current = previous || { tokens: capacity, updatedAt: now };
+        const refilled = Math.min(capacity, current.tokens + ((now - current.updatedAt) / 1000) * refillPerSecond);
+        
+        allowed = refilled >= 1;
+        return { tokens: allowed ? refilled - 1 : refilled, updatedAt: now };
+      });
+      
+      return {
+        allowed,
+        limit: capacity,
+        remaining: Math.floor(state.tokens),
+        resetSeconds: Math.ceil((capacity - state.tokens) / refillPerSecond),
+        retryAfterSeconds: Math.max(Math.ceil((1 - state.tokens) / refillPerSecond), 1),
+        policy: `${capacity};w=${Math.round(capacity / refillPerSecond)};burst=${capacity}`
+      };
+    }
+  };
+};
+
+// Who a request is counted against. "token" counts a valid API key by its
+// id and anything else by IP, so made-up tokens cannot each get a fresh
+// budget; "user" needs authenticateToken to run first.
+const bearerToken = (req) => (req.headers['authorization'] || '').split(' ')[1];
+
+const RATE_LIMIT_KEYS = {
+  ip: (req) => `ip:${req.ip}`,
+  token: (req) => {
+    const token = bearerToken(req);
+    const record = token ? verifyKey(token) : undefined;
+    return record ? `key:${record.id}` : `ip:${req.ip}`;
+  },
+  user: (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`)
+};
+
+const defaultRateLimitStore = createMemoryStore();
+
+// rateLimit({ name, strategy, keyBy: 'ip' | 'token' | 'user' | fn, store })
+const rateLimit = ({ name, strategy, keyBy = 'ip', store = defaultRateLimitStore }) => {
+  const keyFor = typeof keyBy === 'function' ? keyBy : RATE_LIMIT_KEYS[keyBy];
+  
+  return async (req, res, next) => {
+    let decision;
+    try {
+      decision = await strategy.consume(store, `${name}:${keyFor(req)}`);
+    } catch (err) {
+      // A broken store should not take the API down with it
+      req.log.error('Rate limit store failed; allowing request', { error: err, policy: name });
+      return next();
+    }
+    
+    res.set('RateLimit-Limit', String(decision.limit));
+    res.set('RateLimit-Remaining', String(decision.remaining));
+    res.set('RateLimit-Reset', String(decision.resetSeconds));
+    res.set('RateLimit-Policy', decision.policy);
+    
+    if (!decision.allowed) {
+      res.set('Retry-After', String(decision.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Try again in ${decision.retryAfterSeconds} seconds.`,
+        policy: name,
+        retryAfterSeconds: decision.retryAfterSeconds
+      });
+    }
+    
+    next();
+  };
+};
+
+// Per-route policies: generous for the public route, stricter for writes.
+// authenticatedIp runs before authentication on every key-protected route
+// and caps what one IP can send, whatever tokens it tries.
+const RATE_LIMIT_POLICIES = {
+  public: rateLimit({
+    name: 'public',
+    strategy: fixedWindow({ limit: 100, windowMs: 60 * 1000 }),
+    keyBy: 'ip'
+  }),
+  authenticatedIp: rateLimit({
+    name: 'authenticated-ip',
+    strategy: fixedWindow({ limit: 120, windowMs: 60 * 1000 }),
+    keyBy: 'ip'
+  }),
+  protectedRead: rateLimit({
+    name: 'protected-read',
+    strategy: tokenBucket({ capacity: 20, refillPerSecond: 1 }),
+    keyBy: 'token'
+  }),
+  protectedWrite: rateLimit({
+    name: 'protected-write',
+    strategy: fixedWindow({ limit: 10, windowMs: 60 * 1000 }),
+    keyBy: 'user'
+  }),
+  keyManagement: rateLimit({
+    name: 'key-management',
+    strategy: tokenBucket({ capacity: 10, refillPerSecond: 0.2 }),
+    keyBy: 'user'
+  })
+};
+
 // ==============================================
 // ROUTES
 // ==============================================
 
 // PUBLIC ROUTE - No authentication required
-app.get('/api/public', (req, res) => {
+app.get('/api/public', RATE_LIMIT_POLICIES.public, (req, res) => {
   res.json({
     message: 'This is a public route, accessible without authentication',
     timestamp: new Date().toISOString()
   });
 });
 
-// PROTECTED ROUTE - Requires Bearer token
-app.get('/api/protected', authenticateToken, (req, res) => {
+// PROTECTED ROUTE - Requires an API key with the data:read scope
+app.get('/api/protected', RATE_LIMIT_POLICIES.authenticatedIp, RATE_LIMIT_POLICIES.protectedRead, authenticateToken('data:read'), (req, res) => {
   res.json({
     message: 'Success! You have accessed the protected route',
     data: {
@@ -75,8 +477,8 @@ app.get('/api/protected', authenticateToken, (req, res) => {
   });
 });
 
-// Additional protected route example - POST request
-app.post('/api/protected/data', authenticateToken, (req, res) => {
+// Additional protected route example - POST request (data:write scope)
+app.post('/api/protected/data', RATE_LIMIT_POLICIES.authenticatedIp, authenticateToken('data:write'), RATE_LIMIT_POLICIES.protectedWrite, validate(SCHEMAS.protectedData), (req, res) => {
   res.json({
     message: 'Data received successfully',
     receivedData: req.body,
@@ -84,14 +486,135 @@ app.post('/api/protected/data', authenticateToken, (req, res) => {
   });
 });
 
+// ==============================================
+// API KEY MANAGEMENT (keys:manage scope)
+// ==============================================
+
+// Create a key. The plaintext key is only returned here.
+app.post('/api/keys', RATE_LIMIT_POLICIES.authenticatedIp, authenticateToken('keys:manage'), RATE_LIMIT_POLICIES.keyManagement, validate(SCHEMAS.createKey), async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    
+    const { key, record } = createKey({
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: keyExpiry(expiresAt),
+      createdBy: req.apiKey.name
+    });
+    await saveKeys();
+    
+    res.status(201).json({
+      message: 'API key created. Store the key now; it cannot be shown again.',
+      key,
+      apiKey: formatKey(record)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List keys (without secrets)
+app.get('/api/keys', RATE_LIMIT_POLICIES.authenticatedIp, authenticateToken('keys:manage'), RATE_LIMIT_POLICIES.keyManagement, (req, res) => {
+  res.json({
+    message: 'API keys retrieved successfully',
+    scopes: SCOPES,
+    apiKeys: Object.values(apiKeys).map(formatKey)
+  });
+});
+
+// Rotate a key: issue a new secret, the old one stops working immediately
+app.post('/api/keys/:id/rotate', RATE_LIMIT_POLICIES.authenticatedIp, authenticateToken('keys:manage'), RATE_LIMIT_POLICIES.keyManagement, validate(SCHEMAS.keyId), async (req, res, next) => {
+  try {
+    const record = findKeyRecord(req.params.id);
+    
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+    
+    if (record.revokedAt) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A revoked API key cannot be rotated'
+      });
+    }
+    
+    const key = generateKey(record.id);
+    record.keyHash = hashKey(key);
+    record.keyPreview = `${key.slice(0, 22)}...`;
+    record.rotatedAt = new Date().toISOString();
+    await saveKeys();
+    
+    res.json({
+      message: 'API key rotated. Store the new key now; it cannot be shown again.',
+      key,
+      apiKey: formatKey(record)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoke a key
+app.delete('/api/keys/:id', RATE_LIMIT_POLICIES.authenticatedIp, authenticateToken('keys:manage'), RATE_LIMIT_POLICIES.keyManagement, validate(SCHEMAS.keyId), async (req, res, next) => {
+  try {
+    const record = findKeyRecord(req.params.id);
+    
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+    
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await saveKeys();
+    }
+    
+    res.json({
+      message: 'API key revoked',
+      apiKey: formatKey(record)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ==============================================
+// OPERATIONS: METRICS AND HEALTH CHECKS
+// ==============================================
+const health = createHealthChecks({
+  checks: {
+    apiKeys: () => {
+      if (!keysLoaded) throw new Error('API keys have not been loaded');
+    }
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', health.liveness);
+
+// Readiness: the API key store has been loaded
+app.get('/readyz', health.readiness);
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
     message: 'Express Middleware Demo Server',
     routes: {
       public: '/api/public',
-      protected: '/api/protected (requires Bearer token)',
-      protectedPost: '/api/protected/data (requires Bearer token)'
+      protected: '/api/protected (requires API key with data:read)',
+      protectedPost: '/api/protected/data (requires API key with data:write)',
+      keys: '/api/keys (requires API key with keys:manage)',
+      metrics: '/metrics',
+      health: '/healthz',
+      ready: '/readyz'
     }
   });
 });
@@ -104,22 +627,45 @@ app.use((req, res) => {
   });
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`\n========================================`);
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`========================================\n`);
-  console.log(`Available Routes:`);
-  console.log(`- GET  /api/public (no auth required)`);
-  console.log(`- GET  /api/protected (requires Bearer token)`);
-  console.log(`- POST /api/protected/data (requires Bearer token)`);
-  console.log(`\nTest with curl:\n`);
-  console.log(`Public route:`);
-  console.log(`  curl http://localhost:${PORT}/api/public\n`);
-  console.log(`Protected route (no token - should fail):`);
-  console.log(`  curl http://localhost:${PORT}/api/protected\n`);
-  console.log(`Protected route (with valid token):`);
-  console.log(`  curl -H "Authorization: Bearer mysecrettoken" http://localhost:${PORT}/api/protected\n`);
+// Malformed JSON bodies get the same 400 as a schema failure
+app.use(invalidJsonHandler);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  req.log.error('Unhandled error', { error: err });
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: 'Something went wrong on the server'
+  });
+});
+
+// Start the server once the API keys are loaded
+loadKeys().then(ensureBootstrapKey).then(() => {
+  app.listen(PORT, () => {
+    console.log(`\n========================================`);
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`========================================\n`);
+    console.log(`Available Routes:`);
+    console.log(`- GET    /api/public (no auth required)`);
+    console.log(`- GET    /api/protected (API key with data:read)`);
+    console.log(`- POST   /api/protected/data (API key with data:write)`);
+    console.log(`- POST   /api/keys (API key with keys:manage)`);
+    console.log(`- GET    /api/keys (API key with keys:manage)`);
+    console.log(`- POST   /api/keys/:id/rotate (API key with keys:manage)`);
+    console.log(`- DELETE /api/keys/:id (API key with keys:manage)`);
+    console.log(`- GET    /metrics, /healthz, /readyz (no auth required)`);
+    console.log(`\nTest with curl:\n`);
+    console.log(`Public route:`);
+    console.log(`  curl http://localhost:${PORT}/api/public\n`);
+    console.log(`Protected route (no token - should fail):`);
+    console.log(`  curl http://localhost:${PORT}/api/protected\n`);
+    console.log(`Protected route (with a valid API key):`);
+    console.log(`  curl -H "Authorization: Bearer YOUR_API_KEY" http://localhost:${PORT}/api/protected\n`);
+  });
+}).catch((err) => {
+  // Nothing is listening yet, so the process ends once the line is written
+  logger.error('Failed to load API keys', { error: err });
+  process.exitCode = 1;
 });
 
 // ==============================================
@@ -132,7 +678,10 @@ app.listen(PORT, () => {
 2. Run the server:
    node server.js
 
-3. Test using curl:
+   On the first start a bootstrap admin API key (all scopes) is printed
+   to the console. Keys are stored hashed in data/api-keys.json.
+
+3. Test using curl (ADMIN_KEY = the bootstrap key):
 
    a) Test public route (should work):
       curl http://localhost:3000/api/public
@@ -143,11 +692,35 @@ app.listen(PORT, () => {
    c) Test protected route with wrong token (should fail with 403):
       curl -H "Authorization: Bearer wrongtoken" http://localhost:3000/api/protected
 
-   d) Test protected route with correct token (should succeed):
-      curl -H "Authorization: Bearer mysecrettoken" http://localhost:3000/api/protected
+   d) Create a read-only key (expiresAt is optional, default 90 days):
+      curl -X POST -H "Authorization: Bearer ADMIN_KEY" -H "Content-Type: application/json" -d '{"name":"reporting","scopes":["data:read"],"expiresAt":"2030-01-31T00:00:00Z"}' http://localhost:3000/api/keys
+
+   e) Test protected route with the new key (should succeed):
+      curl -H "Authorization: Bearer NEW_KEY" http://localhost:3000/api/protected
+
+   f) Test POST with the read-only key (should fail with 403, missing data:write):
+      curl -X POST -H "Authorization: Bearer NEW_KEY" -H "Content-Type: application/json" -d '{"name":"John","age":30}' http://localhost:3000/api/protected/data
+
+   g) Invalid bodies get a 400 listing every failing field:
+      curl -X POST -H "Authorization: Bearer ADMIN_KEY" -H "Content-Type: application/json" -d '{"age":-1,"extra":true}' http://localhost:3000/api/protected/data
+      -> details: body.name is required, body.age must be at least 0, body.extra is not allowed
+
+   h) List, rotate and revoke keys:
+      curl -H "Authorization: Bearer ADMIN_KEY" http://localhost:3000/api/keys
+      curl -X POST -H "Authorization: Bearer ADMIN_KEY" http://localhost:3000/api/keys/KEY_ID/rotate
+      curl -X DELETE -H "Authorization: Bearer ADMIN_KEY" http://localhost:3000/api/keys/KEY_ID
 
-   e) Test POST to protected route with token:
-      curl -X POST -H "Authorization: Bearer mysecrettoken" -H "Content-Type: application/json" -d '{"name":"John","age":30}' http://localhost:3000/api/protected/data
+   i) Rate limits - every limited response carries RateLimit-Limit,
+      RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers:
+      * /api/public: 100 requests per minute per IP (fixed window)
+      * every route that needs an API key: 120 requests per minute per IP,
+        checked before the key (fixed window)
+      * /api/protected: bursts of 20, refilled at 1 per second per API key,
+        or per IP for unknown keys (token bucket)
+      * /api/protected/data: 10 requests per minute per API key (fixed window)
+      * /api/keys: bursts of 10, refilled at 1 every 5 seconds per API key
+      Exceeding a limit returns 429 with a Retry-After header:
+      for i in $(seq 1 12); do curl -s -o /dev/null -w "%{http_code}\n" -X POST -H "Authorization: Bearer ADMIN_KEY" -H "Content-Type: application/json" -d '{}' http://localhost:3000/api/protected/data; done
 
 4. Test using Postman:
    - Open Postman
@@ -156,6 +729,6 @@ app.listen(PORT, () => {
      * GET http://localhost:3000/api/protected
      * Go to "Authorization" tab
      * Select "Bearer Token" type
-     * Enter token: mysecrettoken
+     * Enter token: your API key
      * Send request
 */
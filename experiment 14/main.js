@@ -1,49 +1,756 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger, requestLogger } = require('../shared/logging');
+const { createMetrics, createHealthChecks } = require('../shared/metrics');
+const { validate, invalidJsonHandler } = require('../shared/validation');
 const app = express();
 const PORT = 3000;
 
 // Secret key for JWT signing (In production, use environment variables)
 const JWT_SECRET = 'your-secret-key-keep-it-safe';
-const TOKEN_EXPIRY = '1h'; // Token expires in 1 hour
+const TOKEN_EXPIRY = '15m'; // Access tokens are short-lived
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Refresh tokens last 30 days
+const MAX_USED_REFRESH_TOKEN_HASHES = 50; // Rotated tokens remembered per session for reuse detection
 
-// Middleware to parse JSON
-app.use(express.json());
+// Login brute-force protection (all values can be overridden via env)
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
 
-// ==============================================
-// MOCK USER DATABASE
-// ==============================================
-const users = {
-  'john_doe': {
-    username: 'john_doe',
-    password: 'password123',
-    accountId: 'ACC001',
-    balance: 5000
+const LOGIN_PROTECTION = {
+  maxFailuresPerUser: envNumber('LOGIN_MAX_FAILURES_PER_USER', 5),  // failures before a username is locked
+  maxFailuresPerIp: envNumber('LOGIN_MAX_FAILURES_PER_IP', 20),     // failures before an IP is locked
+  lockoutMs: envNumber('LOGIN_LOCKOUT_MS', 15 * 60 * 1000),         // how long a lockout lasts
+  backoffBaseMs: envNumber('LOGIN_BACKOFF_BASE_MS', 1000),          // delay after the 2nd failure, doubling after each one
+  backoffMaxMs: envNumber('LOGIN_BACKOFF_MAX_MS', 60 * 1000),       // cap on the backoff delay
+  failureWindowMs: envNumber('LOGIN_FAILURE_WINDOW_MS', 15 * 60 * 1000), // quiet period after which failures are forgotten
+  maxTrackedKeys: envNumber('LOGIN_MAX_TRACKED_KEYS', 10000)        // usernames/IPs remembered per map; the oldest are dropped
+};
+
+// Two-factor authentication
+const TOTP_ISSUER = 'SecureBankingAPI';
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m'; // Time allowed to complete /login/2fa
+const TOTP_WITHDRAWAL_THRESHOLD = envNumber('TOTP_WITHDRAWAL_THRESHOLD', 1000); // Larger withdrawals need a fresh code
+const RECOVERY_CODE_COUNT = 10;
+
+// Deposit and withdrawal limits per account tier: a cap on each single
+// transaction and on the total over any rolling 24 hours
+const ACCOUNT_TIERS = {
+  basic: {
+    perTransaction: { deposit: 10000, withdrawal: 2000 },
+    rolling24h: { deposit: 25000, withdrawal: 5000 }
   },
-  'jane_smith': {
-    username: 'jane_smith',
-    password: 'secure456',
-    accountId: 'ACC002',
-    balance: 10000
+  standard: {
+    perTransaction: { deposit: 100000, withdrawal: 10000 },
+    rolling24h: { deposit: 250000, withdrawal: 20000 }
   },
-  'bob_wilson': {
-    username: 'bob_wilson',
-    password: 'mypass789',
-    accountId: 'ACC003',
-    balance: 2500
+  premium: {
+    perTransaction: { deposit: 500000, withdrawal: 25000 },
+    rolling24h: { deposit: 1000000, withdrawal: 100000 }
   }
 };
+const DEFAULT_TIER = 'standard';
+const LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Users are persisted to this JSON file so registrations survive restarts
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'bank.json');
+
+// First admin account. Required whenever the store has no admin yet; the
+// server refuses to start without it. Ignored once an admin exists.
+const BOOTSTRAP_ADMIN = {
+  username: process.env.BOOTSTRAP_ADMIN_USERNAME,
+  password: process.env.BOOTSTRAP_ADMIN_PASSWORD
+};
 
 // ==============================================
-// MIDDLEWARE: REQUEST LOGGER
+// PASSWORD HASHING (scrypt)
 // ==============================================
-const requestLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.url}`);
-  next();
+
+// scrypt is deliberately slow and memory-hard; the parameters are stored
+// with each hash so they can be raised later without breaking old hashes
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = (password, salt, params) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, params, (err, key) => {
+    if (err) return reject(err);
+    resolve(key);
+  });
+});
+
+// Returns "scrypt$N$r$p$<salt>$<hash>" with a random 16-byte salt
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, storedHash) => {
+  const [scheme, N, r, p, salt, key] = storedHash.split('$');
+  if (scheme !== 'scrypt') {
+    return false;
+  }
+  
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// ==============================================
+// USER STORE (JSON file)
+// ==============================================
+
+// Demo customer accounts, only added to a brand-new store. Staff accounts
+// are never seeded: the first admin comes from BOOTSTRAP_ADMIN and further
+// staff are promoted with PUT /admin/users/:username/role.
+const SEED_USERS = [
+  { username: 'john_doe', password: 'password123', accountId: 'ACC001', balance: 5000, role: 'customer' },
+  { username: 'jane_smith', password: 'secure456', accountId: 'ACC002', balance: 10000, role: 'customer', tier: 'premium' },
+  { username: 'bob_wilson', password: 'mypass789', accountId: 'ACC003', balance: 2500, role: 'customer' }
+];
+
+let store = { users: {}, sessions: {}, auditLog: [], transactions: {} };
+let users = store.users;
+let sessions = store.sessions;
+
+// Hash checked for unknown usernames so a failed login takes the same
+// time whether or not the user exists
+let dummyPasswordHash;
+let storeLoaded = false;
+
+const loadStore = async () => {
+  let isNewStore = false;
+  try {
+    store = JSON.parse(await fs.promises.readFile(DATA_FILE, 'utf8'));
+    console.log(`✅ Loaded ${Object.keys(store.users).length} users from ${DATA_FILE}`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    
+    store = { users: {}, sessions: {}, auditLog: [], transactions: {} };
+    isNewStore = true;
+    console.log(`✅ Creating user store with demo accounts at ${DATA_FILE}`);
+  }
+  
+  // Stores written by older versions lack sessions, the audit log,
+  // transaction history and roles
+  store.sessions = store.sessions || {};
+  store.auditLog = store.auditLog || [];
+  store.transactions = store.transactions || {};
+  users = store.users;
+  sessions = store.sessions;
+  Object.values(users).forEach((user) => {
+    user.role = user.role || 'customer';
+    user.tier = user.tier || DEFAULT_TIER;
+  });
+  
+  // Check the bootstrap admin before writing anything
+  const hasAdmin = Object.values(users).some((user) => user.role === 'admin');
+  if (!hasAdmin) {
+    const { username, password } = BOOTSTRAP_ADMIN;
+    
+    if (!username || !password) {
+      throw new Error('The store has no admin account. Set BOOTSTRAP_ADMIN_USERNAME and BOOTSTRAP_ADMIN_PASSWORD to create one.');
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new Error('BOOTSTRAP_ADMIN_USERNAME must be 3-30 characters of letters, digits or underscores');
+    }
+    if (findUser(username)) {
+      throw new Error(`BOOTSTRAP_ADMIN_USERNAME "${username}" is already taken by a non-admin account`);
+    }
+    const problems = checkPasswordStrength(password, username);
+    if (problems.length > 0) {
+      throw new Error(`BOOTSTRAP_ADMIN_PASSWORD is too weak: it ${problems.join(', ')}`);
+    }
+  }
+  
+  // Demo customers only go into a brand-new store, so deleting one is final
+  const newUsers = [
+    ...(isNewStore ? SEED_USERS : []),
+    ...(hasAdmin ? [] : [{ ...BOOTSTRAP_ADMIN, balance: 0, role: 'admin' }])
+  ];
+  for (const seed of newUsers) {
+    const { password, ...user } = seed;
+    users[user.username] = {
+      tier: DEFAULT_TIER,
+      ...user,
+      accountId: user.accountId || nextAccountId(),
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+  }
+  if (newUsers.length > 0) {
+    await saveStore();
+  }
+  if (!hasAdmin) {
+    console.log(`✅ Created admin account ${BOOTSTRAP_ADMIN.username} from BOOTSTRAP_ADMIN_USERNAME`);
+  }
+  
+  dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  storeLoaded = true;
+};
+
+// Writes are serialised and go through a temp file + rename, so a crash
+// mid-write never leaves a truncated store behind
+let saveQueue = Promise.resolve();
+
+const saveStore = () => {
+  const snapshot = JSON.stringify(store, null, 2);
+  const tempFile = `${DATA_FILE}.tmp`;
+  
+  saveQueue = saveQueue
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true });
+      await fs.promises.writeFile(tempFile, snapshot);
+      await fs.promises.rename(tempFile, DATA_FILE);
+    });
+  
+  return saveQueue;
+};
+
+// Own-property lookup, so names like "__proto__" never match
+const findUser = (username) => (
+  Object.prototype.hasOwnProperty.call(users, username) ? users[username] : undefined
+);
+
+const findUserByAccountId = (accountId) => (
+  Object.values(users).find((user) => user.accountId === accountId)
+);
+
+// Next free account id: ACC001, ACC002, ...
+const nextAccountId = () => {
+  const highest = Object.values(users).reduce((max, user) => {
+    const number = parseInt(user.accountId.replace(/^ACC/, ''), 10);
+    return Number.isNaN(number) ? max : Math.max(max, number);
+  }, 0);
+  
+  return `ACC${String(highest + 1).padStart(3, '0')}`;
+};
+
+// ==============================================
+// REGISTRATION VALIDATION
+// ==============================================
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,30}$/;
+
+// Returns the list of password rules that are not met (empty when strong)
+const checkPasswordStrength = (password, username) => {
+  const problems = [];
+  
+  if (password.length < 8) problems.push('must be at least 8 characters long');
+  if (password.length > 128) problems.push('must be at most 128 characters long');
+  if (!/[a-z]/.test(password)) problems.push('must contain a lowercase letter');
+  if (!/[A-Z]/.test(password)) problems.push('must contain an uppercase letter');
+  if (!/[0-9]/.test(password)) problems.push('must contain a digit');
+  if (!/[^a-zA-Z0-9]/.test(password)) problems.push('must contain a symbol');
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    problems.push('must not contain the username');
+  }
+  
+  return problems;
+};
+
+// ==============================================
+// ROLES AND PERMISSIONS
+// ==============================================
+
+// Every role can use its own account; staff roles add permissions over
+// other users' accounts. Roles are carried in the JWT.
+const ROLE_PERMISSIONS = {
+  customer: ['account:read', 'account:transact'],
+  teller: ['account:read', 'account:transact', 'users:read', 'balances:read', 'balances:adjust'],
+  admin: [
+    'account:read', 'account:transact', 'users:read', 'balances:read', 'balances:adjust',
+    'users:manage', 'audit:read'
+  ]
 };
 
-app.use(requestLogger);
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (role, permission) => (
+  Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role) &&
+  ROLE_PERMISSIONS[role].includes(permission)
+);
+
+// Records a staff action against another user's account
+const recordAudit = (req, action, target, details = {}) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    action,
+    target,
+    details,
+    performedBy: {
+      username: req.user.username,
+      role: req.user.role
+    },
+    timestamp: new Date().toISOString()
+  };
+  
+  store.auditLog.push(entry);
+  console.log(`🛡️  ${req.user.role} ${req.user.username}: ${action} ${target}`);
+  return entry;
+};
+
+// Public view of a user record (never exposes the password hash)
+const formatUser = (user) => ({
+  username: user.username,
+  accountId: user.accountId,
+  role: user.role,
+  tier: user.tier,
+  balance: user.balance,
+  createdAt: user.createdAt
+});
+
+// ==============================================
+// TRANSACTION HISTORY
+// ==============================================
+
+// Every balance change is appended to store.transactions[accountId],
+// oldest first. newBalance on each entry is the running balance.
+const TRANSACTION_TYPES = ['DEPOSIT', 'WITHDRAWAL', 'ADJUSTMENT', 'TRANSFER_IN', 'TRANSFER_OUT'];
+const RECENT_TRANSACTION_COUNT = 5;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const transactionsFor = (user) => (
+  Object.prototype.hasOwnProperty.call(store.transactions, user.accountId)
+    ? store.transactions[user.accountId]
+    : []
+);
+
+const recordTransaction = (user, details) => {
+  const transaction = {
+    transactionId: crypto.randomUUID(),
+    ...details,
+    accountId: user.accountId,
+    timestamp: details.timestamp || new Date().toISOString()
+  };
+  
+  if (!Object.prototype.hasOwnProperty.call(store.transactions, user.accountId)) {
+    store.transactions[user.accountId] = [];
+  }
+  store.transactions[user.accountId].push(transaction);
+  
+  return transaction;
+};
+
+// Newest first
+const recentTransactions = (user, count = RECENT_TRANSACTION_COUNT) => (
+  transactionsFor(user).slice(-count).reverse()
+);
+
+// Parses a from/to query value. A bare date (YYYY-MM-DD) as the upper
+// bound covers that whole day.
+const parseDateBound = (value, endOfDay) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  
+  return endOfDay && DATE_ONLY_PATTERN.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+// ==============================================
+// ROLLING 24-HOUR LIMITS
+// ==============================================
+
+// "$10,000" style amounts for messages
+const formatDollars = (amount) => `$${amount.toLocaleString('en-US')}`;
+
+const tierFor = (user) => (
+  Object.prototype.hasOwnProperty.call(ACCOUNT_TIERS, user.tier) ? ACCOUNT_TIERS[user.tier] : ACCOUNT_TIERS[DEFAULT_TIER]
+);
+
+// Transaction types that use up each rolling allowance. Outgoing
+// transfers count as withdrawals so they cannot be used to bypass it.
+const LIMIT_TRANSACTION_TYPES = {
+  deposit: ['DEPOSIT'],
+  withdrawal: ['WITHDRAWAL', 'TRANSFER_OUT']
+};
+
+// Usage of the rolling limit for 'deposit' or 'withdrawal', computed from
+// the transaction history. resetsAt is when the oldest counted transaction
+// leaves the window and frees up allowance.
+const limitStatus = (user, kind) => {
+  const types = LIMIT_TRANSACTION_TYPES[kind];
+  const windowStart = Date.now() - LIMIT_WINDOW_MS;
+  const counted = transactionsFor(user).filter((transaction) => (
+    types.includes(transaction.type) && Date.parse(transaction.timestamp) > windowStart
+  ));
+  
+  const limit = tierFor(user).rolling24h[kind];
+  const used = counted.reduce((sum, transaction) => sum + transaction.amount, 0);
+  
+  return {
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    resetsAt: counted.length > 0
+      ? new Date(Date.parse(counted[0].timestamp) + LIMIT_WINDOW_MS).toISOString()
+      : null
+  };
+};
+
+// Returns an error body if `amount` breaks the per-transaction or rolling
+// limit for `kind`, otherwise null
+const checkLimits = (user, kind, amount) => {
+  const tier = tierFor(user);
+  const label = kind === 'deposit' ? 'Deposit' : 'Withdrawal';
+  
+  if (amount > tier.perTransaction[kind]) {
+    return {
+      error: 'Bad Request',
+      message: `${label} amount exceeds maximum limit of ${formatDollars(tier.perTransaction[kind])} per transaction`,
+      tier: user.tier,
+      perTransactionLimit: tier.perTransaction[kind]
+    };
+  }
+  
+  const status = limitStatus(user, kind);
+  if (amount > status.remaining) {
+    return {
+      error: 'Limit Exceeded',
+      message: `${label} exceeds your 24-hour limit of ${formatDollars(status.limit)}. Remaining allowance: ${formatDollars(status.remaining)}`,
+      tier: user.tier,
+      requestedAmount: amount,
+      rolling24hLimit: status.limit,
+      usedLast24h: status.used,
+      remainingAllowance: status.remaining,
+      resetsAt: status.resetsAt
+    };
+  }
+  
+  return null;
+};
+
+// ==============================================
+// SESSIONS AND REFRESH TOKENS
+// ==============================================
+
+// Each login starts a session (a refresh token "family"). The refresh
+// token is "<sessionId>.<secret>"; only a SHA-256 of it is stored. Every
+// refresh rotates it, and presenting an already-rotated token means it
+// was stolen or replayed, so the whole session is revoked.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const revokeSession = (session, reason) => {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date().toISOString();
+    session.revokedReason = reason;
+  }
+};
+
+// Drops sessions whose refresh token has expired so the store stays small
+const pruneExpiredSessions = () => {
+  const now = Date.now();
+  Object.values(sessions).forEach((session) => {
+    if (new Date(session.expiresAt).getTime() < now) {
+      delete sessions[session.sessionId];
+    }
+  });
+};
+
+// Issues a new access token and a new refresh token for `session`,
+// invalidating the previous refresh token. Only the most recent
+// MAX_USED_REFRESH_TOKEN_HASHES rotated tokens are kept; an older one is
+// simply rejected as invalid instead of revoking the session.
+const rotateTokens = (user, session) => {
+  const refreshToken = `${session.sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  
+  if (session.refreshTokenHash) {
+    session.usedRefreshTokenHashes.push(session.refreshTokenHash);
+    session.usedRefreshTokenHashes.splice(0, session.usedRefreshTokenHashes.length - MAX_USED_REFRESH_TOKEN_HASHES);
+  }
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastRefreshedAt = new Date().toISOString();
+  
+  const payload = {
+    username: user.username,
+    accountId: user.accountId,
+    role: user.role,
+    sid: session.sessionId
+  };
+  
+  return {
+    token: jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_EXPIRY }),
+    refreshToken,
+    expiresIn: TOKEN_EXPIRY,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+const createSession = (user) => {
+  pruneExpiredSessions();
+  
+  const now = new Date();
+  const session = {
+    sessionId: crypto.randomUUID(),
+    username: user.username,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+    refreshTokenHash: null,
+    usedRefreshTokenHashes: [],
+    revokedAt: null,
+    revokedReason: null
+  };
+  
+  sessions[session.sessionId] = session;
+  return rotateTokens(user, session);
+};
+
+const findSession = (sessionId) => (
+  Object.prototype.hasOwnProperty.call(sessions, sessionId) ? sessions[sessionId] : undefined
+);
+
+const revokeUserSessions = (username, reason) => {
+  Object.values(sessions)
+    .filter((session) => session.username === username)
+    .forEach((session) => revokeSession(session, reason));
+};
+
+// ==============================================
+// LOGIN BRUTE-FORCE PROTECTION
+// ==============================================
+
+// Failed logins are counted per username (lower-cased, known or not, so
+// lockouts do not reveal which usernames exist) and per client IP. Each
+// failure after the first adds an exponentially growing delay before the
+// next attempt; reaching the limit locks the key for lockoutMs.
+const loginFailures = {
+  user: new Map(),
+  ip: new Map()
+};
+
+const getFailureRecord = (kind, key) => {
+  const record = loginFailures[kind].get(key);
+  if (!record) return undefined;
+  
+  // Forget old failures once the lock has passed and the key has been quiet
+  const now = Date.now();
+  if (record.blockedUntil <= now && now - record.lastFailureAt > LOGIN_PROTECTION.failureWindowMs) {
+    loginFailures[kind].delete(key);
+    return undefined;
+  }
+  
+  return record;
+};
+
+// Backoff or lockout that applies after `failures` failures, the last at `lastFailureAt`
+const blockAfter = (failures, maxFailures, lastFailureAt) => {
+  if (failures >= maxFailures) {
+    return { locked: true, blockedUntil: lastFailureAt + LOGIN_PROTECTION.lockoutMs };
+  }
+  if (failures > 1) {
+    const delay = LOGIN_PROTECTION.backoffBaseMs * 2 ** (failures - 2);
+    return { locked: false, blockedUntil: lastFailureAt + Math.min(delay, LOGIN_PROTECTION.backoffMaxMs) };
+  }
+  return { locked: false, blockedUntil: 0 };
+};
+
+// Returns what forgiveLoginFailure needs to take this failure back
+const registerLoginFailure = (kind, key, maxFailures) => {
+  const record = getFailureRecord(kind, key) || { failures: 0, blockedUntil: 0, locked: false };
+  const wasLocked = record.locked;
+  const previousFailureAt = record.lastFailureAt;
+  
+  record.failures += 1;
+  record.lastFailureAt = Date.now();
+  Object.assign(record, blockAfter(record.failures, maxFailures, record.lastFailureAt));
+  
+  if (record.locked && !wasLocked) {
+    console.log(`🔒 Login locked for ${kind} ${key} after ${record.failures} failed attempts`);
+  }
+  
+  // Re-insert so the Map stays ordered by last failure, then drop the
+  // oldest keys if an attacker is cycling through usernames or IPs
+  const records = loginFailures[kind];
+  records.delete(key);
+  records.set(key, record);
+  for (const oldestKey of records.keys()) {
+    if (records.size <= LOGIN_PROTECTION.maxTrackedKeys) break;
+    records.delete(oldestKey);
+  }
+  
+  return { at: record.lastFailureAt, previousFailureAt };
+};
+
+// Takes back one failure counted by registerLoginFailure (used when the
+// attempt it was reserved for turns out to be a successful login)
+const forgiveLoginFailure = (kind, key, maxFailures, reservation) => {
+  const record = getFailureRecord(kind, key);
+  if (!record) return;
+  
+  record.failures -= 1;
+  if (record.failures <= 0) {
+    loginFailures[kind].delete(key);
+    return;
+  }
+  // Unless a real failure has happened since, the backoff runs from the
+  // failure before this one again
+  if (record.lastFailureAt === reservation.at) {
+    record.lastFailureAt = reservation.previousFailureAt;
+  }
+  Object.assign(record, blockAfter(record.failures, maxFailures, record.lastFailureAt));
+};
+
+// Drops failure records that have expired. Records are otherwise only
+// cleaned up when the same username or IP is seen again.
+const pruneLoginFailures = () => {
+  Object.keys(loginFailures).forEach((kind) => {
+    for (const key of loginFailures[kind].keys()) {
+      getFailureRecord(kind, key);
+    }
+  });
+};
+
+setInterval(pruneLoginFailures, 60 * 1000).unref();
+
+// Returns the longest block currently applying to this username/IP, if any
+const loginBlock = (usernameKey, ip) => {
+  const now = Date.now();
+  
+  return [getFailureRecord('user', usernameKey), getFailureRecord('ip', ip)]
+    .filter((record) => record && record.blockedUntil > now)
+    .reduce((longest, record) => (
+      !longest || record.blockedUntil > longest.blockedUntil ? record : longest
+    ), undefined);
+};
+
+// ==============================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ==============================================
+
+// RFC 6238 time-based one-time passwords: HMAC-SHA1, 6 digits, 30 second
+// steps, compatible with Google Authenticator, Authy, 1Password etc.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the matching time step, allowing one step of clock drift either
+// way. Steps at or before `lastUsedStep` are rejected so a code cannot be
+// replayed.
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+  
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    const expected = totpAt(secret, step);
+    if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUri = (username, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Recovery codes look like "a1b2c-3d4e5" and are stored hashed
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+const normalizeRecoveryCode = (code) => code.trim().toLowerCase();
+
+// Checks a TOTP code for an enrolled user without using it up. Returns the
+// code's step, to pass to markTotpUsed once the operation goes ahead.
+const checkTotp = (user, code) => verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+
+const markTotpUsed = (user, step) => {
+  user.twoFactor.lastUsedStep = step;
+};
+
+// Checks a TOTP code for an enrolled user and marks its step as used
+const consumeTotp = (user, code) => {
+  const step = checkTotp(user, code);
+  if (step === null) return false;
+  
+  markTotpUsed(user, step);
+  return true;
+};
+
+// Checks a recovery code and removes it so it only works once
+const consumeRecoveryCode = (user, code) => {
+  if (typeof code !== 'string') return false;
+  
+  const index = user.twoFactor.recoveryCodeHashes.indexOf(hashToken(normalizeRecoveryCode(code)));
+  if (index === -1) return false;
+  
+  user.twoFactor.recoveryCodeHashes.splice(index, 1);
+  return true;
+};
+
+const isTwoFactorEnabled = (user) => Boolean(user.twoFactor && user.twoFactor.enabled);
+
+// ==============================================
+// MIDDLEWARE: REQUEST LOGGER
+// ==============================================
+// One JSON line per request with its X-Request-Id, status, duration and
+// user. Set LOG_LEVEL and LOG_FILE to configure (see shared/logging.js).
+const logger = createLogger({ service: 'secure-banking-api' });
+
+app.use(requestLogger(logger));
+
+// Request counters and latency histograms for /metrics
+const metrics = createMetrics();
+app.use(metrics.middleware);
+
+// Middleware to parse JSON
+app.use(express.json());
 
 // ==============================================
 // MIDDLEWARE: JWT VERIFICATION
@@ -84,12 +791,187 @@ const authenticateToken = (req, res, next) => {
       });
     }
     
+    // A 2FA challenge token only proves the password, not the second factor
+    if (decoded.purpose === '2fa-challenge') {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Two-factor authentication is not complete. POST the code to /login/2fa.'
+      });
+    }
+    
+    // Reject tokens whose session was logged out or revoked, even if
+    // the token itself has not expired yet
+    const session = findSession(decoded.sid);
+    if (!session || session.revokedAt) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+    
     // Attach user info to request object
     req.user = decoded;
+    req.session = session;
     next();
   });
 };
 
+// ==============================================
+// MIDDLEWARE: ROLE-BASED AUTHORIZATION
+// ==============================================
+
+// Use after authenticateToken: the caller's role must grant every listed permission
+const authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !hasPermission(req.user.role, permission));
+  
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Your role (${req.user.role || 'none'}) is not allowed to perform this action`,
+      requiredPermissions: missing
+    });
+  }
+  
+  next();
+};
+
+// ==============================================
+// REQUEST SCHEMAS (see shared/validation.js)
+// ==============================================
+// Shape and type checks only. Rules that need the store (password
+// strength, balances, limits) stay in the route handlers.
+const amountRule = { type: 'number', required: true, exclusiveMin: 0 };
+const totpCodeRule = { type: 'string', pattern: /^\d{6}$/, patternMessage: 'must be a 6 digit code' };
+const usernameParams = {
+  params: {
+    username: { type: 'string', pattern: USERNAME_PATTERN, patternMessage: 'must be 3-30 characters of letters, digits or underscores' }
+  }
+};
+
+// from/to accept a bare date (YYYY-MM-DD) or a full ISO timestamp
+const dateBoundRule = {
+  type: 'string',
+  check: (value) => (parseDateBound(value, false) === null ? 'must be a valid date (e.g. 2024-01-31 or 2024-01-31T12:00:00Z)' : undefined)
+};
+
+const SCHEMAS = {
+  register: {
+    body: {
+      username: { type: 'string', required: true, pattern: USERNAME_PATTERN, patternMessage: 'must be 3-30 characters of letters, digits or underscores' },
+      password: { type: 'string', required: true }
+    }
+  },
+  login: {
+    body: {
+      username: { type: 'string', required: true, minLength: 1 },
+      password: { type: 'string', required: true, minLength: 1 }
+    }
+  },
+  loginTwoFactor: {
+    body: {
+      challengeToken: { type: 'string', required: true, minLength: 1 },
+      code: totpCodeRule,
+      recoveryCode: { type: 'string', minLength: 1 }
+    }
+  },
+  refresh: {
+    body: {
+      refreshToken: { type: 'string', required: true, pattern: /\./, patternMessage: 'is not a refresh token' }
+    }
+  },
+  confirmTwoFactor: {
+    body: {
+      code: { ...totpCodeRule, required: true }
+    }
+  },
+  deposit: {
+    body: {
+      amount: amountRule
+    }
+  },
+  withdraw: {
+    body: {
+      amount: amountRule,
+      totpCode: totpCodeRule
+    }
+  },
+  transfer: {
+    body: {
+      to: { type: 'string', required: true, minLength: 1 },
+      amount: amountRule,
+      description: { type: 'string', maxLength: 140 },
+      totpCode: totpCodeRule
+    }
+  },
+  transactions: {
+    query: {
+      page: { type: 'integer', min: 1 },
+      limit: { type: 'integer', min: 1, max: 100 },
+      type: {
+        type: 'string',
+        check: (value) => {
+          const unknown = value.toUpperCase().split(',').map((type) => type.trim())
+            .filter((type) => !TRANSACTION_TYPES.includes(type));
+          return unknown.length > 0
+            ? `contains unknown types: ${unknown.join(', ')}. Must be one of: ${TRANSACTION_TYPES.join(', ')}`
+            : undefined;
+        }
+      },
+      from: dateBoundRule,
+      to: dateBoundRule
+    }
+  },
+  adjustment: {
+    ...usernameParams,
+    body: {
+      amount: { type: 'number', required: true, check: (value) => (value === 0 ? 'must not be zero' : undefined) },
+      reason: { type: 'string', required: true, maxLength: 500, pattern: /\S/, patternMessage: 'must not be blank' }
+    }
+  },
+  changeRole: {
+    ...usernameParams,
+    body: {
+      role: { type: 'string', required: true, enum: ROLES }
+    }
+  },
+  changeTier: {
+    ...usernameParams,
+    body: {
+      tier: { type: 'string', required: true, enum: Object.keys(ACCOUNT_TIERS) }
+    }
+  },
+  incomingTransfers: {
+    query: {
+      limit: { type: 'integer', min: 1, max: 100 }
+    }
+  },
+  auditLog: {
+    query: {
+      limit: { type: 'integer', min: 1, max: 500 }
+    }
+  }
+};
+
+// ==============================================
+// OPERATIONS: METRICS AND HEALTH CHECKS
+// ==============================================
+const health = createHealthChecks({
+  checks: {
+    userStore: () => {
+      if (!storeLoaded) throw new Error('User store has not been loaded');
+    }
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', health.liveness);
+
+// Readiness: the user store has been loaded
+app.get('/readyz', health.readiness);
+
 // ==============================================
 // PUBLIC ROUTES
 // ==============================================
@@ -100,61 +982,389 @@ app.get('/', (req, res) => {
     message: 'Welcome to Secure Banking API',
     version: '1.0.0',
     endpoints: {
+      register: 'POST /register',
       login: 'POST /login',
+      login2fa: 'POST /login/2fa',
+      refresh: 'POST /token/refresh',
+      logout: 'POST /logout (protected)',
       balance: 'GET /balance (protected)',
       deposit: 'POST /deposit (protected)',
-      withdraw: 'POST /withdraw (protected)'
+      withdraw: 'POST /withdraw (protected)',
+      enroll2fa: 'POST /2fa/enroll (protected)',
+      confirm2fa: 'POST /2fa/confirm (protected)',
+      accountInfo: 'GET /account/info (protected)',
+      transactions: 'GET /transactions (protected)',
+      limits: 'GET /limits (protected)',
+      transfer: 'POST /transfer (protected)',
+      incomingTransfers: 'GET /transfers/incoming (protected)',
+      adminUsers: 'GET /admin/users (teller, admin)',
+      adminBalance: 'GET /admin/users/:username/balance (teller, admin)',
+      adminAdjust: 'POST /admin/users/:username/adjustments (teller, admin)',
+      adminRole: 'PUT /admin/users/:username/role (admin)',
+      adminTier: 'PUT /admin/users/:username/tier (admin)',
+      adminUnlock: 'POST /admin/users/:username/unlock (admin)',
+      auditLog: 'GET /admin/audit-log (admin)',
+      metrics: 'GET /metrics',
+      health: 'GET /healthz',
+      ready: 'GET /readyz'
     },
     note: 'Protected routes require Bearer token in Authorization header'
   });
 });
 
+// Register route - Create a new user with a hashed password
+app.post('/register', validate(SCHEMAS.register), async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+    
+    const problems = checkPasswordStrength(password, username);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Password is too weak',
+        requirements: problems.map((problem) => `Password ${problem}`)
+      });
+    }
+    
+    // Usernames are unique regardless of case
+    const taken = Object.keys(users).some((name) => name.toLowerCase() === username.toLowerCase());
+    if (taken) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Username is already taken'
+      });
+    }
+    
+    const passwordHash = await hashPassword(password);
+    
+    // Re-check after the (slow) hash in case of a concurrent registration
+    if (findUser(username)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Username is already taken'
+      });
+    }
+    
+    const user = {
+      username,
+      accountId: nextAccountId(),
+      balance: 0,
+      role: 'customer',
+      tier: DEFAULT_TIER,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    };
+    
+    users[username] = user;
+    await saveStore();
+    
+    res.status(201).json({
+      message: 'Registration successful',
+      user: {
+        username: user.username,
+        accountId: user.accountId,
+        role: user.role,
+        balance: user.balance
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Login route - Generate JWT token
-app.post('/login', (req, res) => {
-  const { username, password } = req.body;
-  
-  // Validate input
-  if (!username || !password) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Username and password are required'
+app.post('/login', validate(SCHEMAS.login), async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+    
+    // Refuse attempts while this username or IP is backing off or locked
+    const usernameKey = username.toLowerCase();
+    const block = loginBlock(usernameKey, req.ip);
+    if (block) {
+      const retryAfterSeconds = Math.ceil((block.blockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: block.locked
+          ? `Too many failed login attempts. Login is locked for ${retryAfterSeconds} seconds.`
+          : `Too many failed login attempts. Try again in ${retryAfterSeconds} seconds.`,
+        retryAfterSeconds
+      });
+    }
+    
+    // Count the attempt as a failure before the (slow) password check, so
+    // parallel guesses see each other's backoff instead of all passing the
+    // check above. A successful login takes it back below.
+    registerLoginFailure('user', usernameKey, LOGIN_PROTECTION.maxFailuresPerUser);
+    const ipReservation = registerLoginFailure('ip', req.ip, LOGIN_PROTECTION.maxFailuresPerIp);
+    
+    // Check if user exists and password matches. Unknown users are checked
+    // against a dummy hash so both cases take the same time.
+    const user = findUser(username);
+    const passwordMatches = await verifyPassword(password, user ? user.passwordHash : dummyPasswordHash);
+    if (!user || !passwordMatches) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid username or password'
+      });
+    }
+    
+    // A successful login clears the username's failures. Only this
+    // attempt is taken off the IP counter, so one valid account cannot be
+    // used to reset it.
+    loginFailures.user.delete(usernameKey);
+    forgiveLoginFailure('ip', req.ip, LOGIN_PROTECTION.maxFailuresPerIp, ipReservation);
+    
+    // Users with 2FA get a short-lived challenge token instead of a session
+    if (isTwoFactorEnabled(user)) {
+      const challengeToken = jwt.sign(
+        { username: user.username, purpose: '2fa-challenge' },
+        JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+      );
+      
+      return res.json({
+        message: 'Password accepted. Two-factor authentication required.',
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY
+      });
+    }
+    
+    // Start a session: short-lived access token + rotating refresh token
+    const tokens = createSession(user);
+    await saveStore();
+    
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: {
+        username: user.username,
+        accountId: user.accountId,
+        role: user.role
+      }
     });
+  } catch (err) {
+    next(err);
   }
-  
-  // Check if user exists and password matches
-  const user = users[username];
-  if (!user || user.password !== password) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Invalid username or password'
+});
+
+// Second login step for 2FA users - Exchange challenge token + code for tokens
+app.post('/login/2fa', validate(SCHEMAS.loginTwoFactor), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (code === undefined && recoveryCode === undefined) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Either code or recoveryCode is required'
+      });
+    }
+    
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (err) {
+      challenge = null;
+    }
+    
+    const user = challenge && challenge.purpose === '2fa-challenge' ? findUser(challenge.username) : undefined;
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Challenge token is invalid or expired. Please login again.'
+      });
+    }
+    
+    // Wrong codes count towards the same lockout as wrong passwords
+    const usernameKey = user.username.toLowerCase();
+    const block = loginBlock(usernameKey, req.ip);
+    if (block) {
+      const retryAfterSeconds = Math.ceil((block.blockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Too many failed login attempts. Try again in ${retryAfterSeconds} seconds.`,
+        retryAfterSeconds
+      });
+    }
+    
+    const verified = typeof code === 'string'
+      ? consumeTotp(user, code)
+      : consumeRecoveryCode(user, recoveryCode);
+    
+    if (!verified) {
+      registerLoginFailure('user', usernameKey, LOGIN_PROTECTION.maxFailuresPerUser);
+      registerLoginFailure('ip', req.ip, LOGIN_PROTECTION.maxFailuresPerIp);
+      
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid two-factor code'
+      });
+    }
+    
+    loginFailures.user.delete(usernameKey);
+    const tokens = createSession(user);
+    await saveStore();
+    
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: {
+        username: user.username,
+        accountId: user.accountId,
+        role: user.role
+      },
+      recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Refresh route - Exchange a refresh token for a new token pair
+app.post('/token/refresh', validate(SCHEMAS.refresh), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const session = findSession(refreshToken.split('.')[0]);
+    const tokenHash = hashToken(refreshToken);
+    
+    if (!session || session.revokedAt || new Date(session.expiresAt).getTime() < Date.now()) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Refresh token is invalid or expired. Please login again.'
+      });
+    }
+    
+    // An old token from this family is being replayed: revoke everything
+    if (session.usedRefreshTokenHashes.includes(tokenHash)) {
+      revokeSession(session, 'refresh token reuse detected');
+      await saveStore();
+      console.log(`⚠️  Refresh token reuse detected for ${session.username}; session ${session.sessionId} revoked`);
+      
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Refresh token has already been used. Session revoked, please login again.'
+      });
+    }
+    
+    const user = findUser(session.username);
+    if (tokenHash !== session.refreshTokenHash || !user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Refresh token is invalid or expired. Please login again.'
+      });
+    }
+    
+    const tokens = rotateTokens(user, session);
+    await saveStore();
+    
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
     });
+  } catch (err) {
+    next(err);
   }
-  
-  // Generate JWT token
-  const payload = {
-    username: user.username,
-    accountId: user.accountId
-  };
-  
-  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
-  
-  res.json({
-    message: 'Login successful',
-    token: token,
-    user: {
-      username: user.username,
-      accountId: user.accountId
-    },
-    expiresIn: TOKEN_EXPIRY
-  });
 });
 
 // ==============================================
 // PROTECTED ROUTES - BANKING OPERATIONS
 // ==============================================
 
+// Logout - Revoke the current session and its refresh token
+app.post('/logout', authenticateToken, async (req, res, next) => {
+  try {
+    revokeSession(req.session, 'logout');
+    await saveStore();
+    
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start 2FA enrollment - Returns a new secret as an otpauth URI
+app.post('/2fa/enroll', authenticateToken, authorize('account:read'), async (req, res, next) => {
+  try {
+    const user = users[req.user.username];
+    
+    if (isTwoFactorEnabled(user)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor = {
+      enabled: false,
+      pendingSecret: secret
+    };
+    await saveStore();
+    
+    res.json({
+      message: 'Scan the otpauth URI with an authenticator app, then confirm with a code',
+      otpauthUri: buildOtpauthUri(user.username, secret),
+      secret
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Finish 2FA enrollment - Verify a code and issue recovery codes
+app.post('/2fa/confirm', authenticateToken, authorize('account:read'), validate(SCHEMAS.confirmTwoFactor), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = users[req.user.username];
+    
+    if (isTwoFactorEnabled(user)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Start enrollment with POST /2fa/enroll first'
+      });
+    }
+    
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid two-factor code'
+      });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodeHashes: recoveryCodes.map((recoveryCode) => hashToken(recoveryCode)),
+      enabledAt: new Date().toISOString()
+    };
+    await saveStore();
+    
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes safely; each works once and they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get account balance
-app.get('/balance', authenticateToken, (req, res) => {
+app.get('/balance', authenticateToken, authorize('account:read'), (req, res) => {
   const user = users[req.user.username];
   
   if (!user) {
@@ -175,91 +1385,236 @@ app.get('/balance', authenticateToken, (req, res) => {
 });
 
 // Deposit money
-app.post('/deposit', authenticateToken, (req, res) => {
-  const { amount } = req.body;
-  const user = users[req.user.username];
-  
-  // Validate amount
-  if (!amount || typeof amount !== 'number' || amount <= 0) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Invalid deposit amount. Amount must be a positive number.'
-    });
-  }
-  
-  if (amount > 100000) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Deposit amount exceeds maximum limit of $100,000'
-    });
-  }
-  
-  // Update balance
-  const previousBalance = user.balance;
-  user.balance += amount;
-  
-  res.json({
-    message: 'Deposit successful',
-    transaction: {
+app.post('/deposit', authenticateToken, authorize('account:transact'), validate(SCHEMAS.deposit), async (req, res, next) => {
+  try {
+    const { amount } = req.body;
+    const user = users[req.user.username];
+    
+    // Per-transaction and rolling 24-hour limits for the user's tier
+    const limitError = checkLimits(user, 'deposit', amount);
+    if (limitError) {
+      return res.status(400).json(limitError);
+    }
+    
+    // Update balance
+    const previousBalance = user.balance;
+    user.balance += amount;
+    const transaction = recordTransaction(user, {
       type: 'DEPOSIT',
       amount: amount,
       previousBalance: previousBalance,
-      newBalance: user.balance,
-      accountId: user.accountId,
-      timestamp: new Date().toISOString()
-    }
-  });
+      newBalance: user.balance
+    });
+    await saveStore();
+    
+    res.json({
+      message: 'Deposit successful',
+      transaction
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 // Withdraw money
-app.post('/withdraw', authenticateToken, (req, res) => {
-  const { amount } = req.body;
-  const user = users[req.user.username];
-  
-  // Validate amount
-  if (!amount || typeof amount !== 'number' || amount <= 0) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Invalid withdrawal amount. Amount must be a positive number.'
+app.post('/withdraw', authenticateToken, authorize('account:transact'), validate(SCHEMAS.withdraw), async (req, res, next) => {
+  try {
+    const { amount } = req.body;
+    const user = users[req.user.username];
+    
+    // Large withdrawals by 2FA users need a current (not yet used) TOTP
+    // code. It is only used up if the withdrawal goes through.
+    let totpStep = null;
+    if (isTwoFactorEnabled(user) && amount > TOTP_WITHDRAWAL_THRESHOLD) {
+      totpStep = checkTotp(user, req.body.totpCode);
+      if (totpStep === null) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Withdrawals above $${TOTP_WITHDRAWAL_THRESHOLD} require a fresh two-factor code in totpCode`,
+          twoFactorRequired: true
+        });
+      }
+    }
+    
+    // Check sufficient balance
+    if (amount > user.balance) {
+      return res.status(400).json({
+        error: 'Insufficient Funds',
+        message: `Insufficient balance. Available balance: $${user.balance}`,
+        availableBalance: user.balance,
+        requestedAmount: amount
+      });
+    }
+    
+    // Per-transaction and rolling 24-hour limits for the user's tier
+    const limitError = checkLimits(user, 'withdrawal', amount);
+    if (limitError) {
+      return res.status(400).json(limitError);
+    }
+    
+    if (totpStep !== null) {
+      markTotpUsed(user, totpStep);
+    }
+    
+    // Update balance
+    const previousBalance = user.balance;
+    user.balance -= amount;
+    const transaction = recordTransaction(user, {
+      type: 'WITHDRAWAL',
+      amount: amount,
+      previousBalance: previousBalance,
+      newBalance: user.balance
     });
-  }
-  
-  // Check sufficient balance
-  if (amount > user.balance) {
-    return res.status(400).json({
-      error: 'Insufficient Funds',
-      message: `Insufficient balance. Available balance: $${user.balance}`,
-      availableBalance: user.balance,
-      requestedAmount: amount
+    await saveStore();
+    
+    res.json({
+      message: 'Withdrawal successful',
+      transaction
     });
+  } catch (err) {
+    next(err);
   }
-  
-  if (amount > 10000) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Withdrawal amount exceeds maximum limit of $10,000 per transaction'
+});
+
+// Transfer money to another user (by username or accountId)
+app.post('/transfer', authenticateToken, authorize('account:transact'), validate(SCHEMAS.transfer), async (req, res, next) => {
+  try {
+    const { to, amount, description } = req.body;
+    const sender = users[req.user.username];
+    
+    const recipient = findUser(to) || findUserByAccountId(to);
+    if (!recipient) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Recipient account not found'
+      });
+    }
+    
+    if (recipient.username === sender.username) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot transfer to your own account'
+      });
+    }
+    
+    // Transfers move money out like withdrawals, so the same step-up applies
+    let totpStep = null;
+    if (isTwoFactorEnabled(sender) && amount > TOTP_WITHDRAWAL_THRESHOLD) {
+      totpStep = checkTotp(sender, req.body.totpCode);
+      if (totpStep === null) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Transfers above $${TOTP_WITHDRAWAL_THRESHOLD} require a fresh two-factor code in totpCode`,
+          twoFactorRequired: true
+        });
+      }
+    }
+    
+    // Check sufficient balance
+    if (amount > sender.balance) {
+      return res.status(400).json({
+        error: 'Insufficient Funds',
+        message: `Insufficient balance. Available balance: $${sender.balance}`,
+        availableBalance: sender.balance,
+        requestedAmount: amount
+      });
+    }
+    
+    // The sender's withdrawal limits apply to outgoing transfers
+    const limitError = checkLimits(sender, 'withdrawal', amount);
+    if (limitError) {
+      return res.status(400).json(limitError);
+    }
+    
+    if (totpStep !== null) {
+      markTotpUsed(sender, totpStep);
+    }
+    
+    // Both records share a transferId and point at each other
+    const transferId = crypto.randomUUID();
+    const timestamp = new Date().toISOString();
+    const outgoingId = crypto.randomUUID();
+    const incomingId = crypto.randomUUID();
+    
+    const senderPreviousBalance = sender.balance;
+    sender.balance -= amount;
+    const outgoing = recordTransaction(sender, {
+      transactionId: outgoingId,
+      type: 'TRANSFER_OUT',
+      amount: amount,
+      previousBalance: senderPreviousBalance,
+      newBalance: sender.balance,
+      transferId,
+      linkedTransactionId: incomingId,
+      counterparty: { username: recipient.username, accountId: recipient.accountId },
+      description: description || null,
+      timestamp
+    });
+    
+    const recipientPreviousBalance = recipient.balance;
+    recipient.balance += amount;
+    recordTransaction(recipient, {
+      transactionId: incomingId,
+      type: 'TRANSFER_IN',
+      amount: amount,
+      previousBalance: recipientPreviousBalance,
+      newBalance: recipient.balance,
+      transferId,
+      linkedTransactionId: outgoingId,
+      counterparty: { username: sender.username, accountId: sender.accountId },
+      description: description || null,
+      timestamp
+    });
+    await saveStore();
+    
+    console.log(`💸 Transfer ${transferId}: ${sender.accountId} -> ${recipient.accountId} $${amount}`);
+    
+    res.json({
+      message: 'Transfer successful',
+      transaction: outgoing
     });
+  } catch (err) {
+    next(err);
   }
+});
+
+// Get incoming transfers, newest first
+app.get('/transfers/incoming', authenticateToken, authorize('account:read'), validate(SCHEMAS.incomingTransfers), (req, res) => {
+  const user = users[req.user.username];
+  const { limit = 20 } = req.query;
+  const incoming = transactionsFor(user)
+    .filter((transaction) => transaction.type === 'TRANSFER_IN')
+    .reverse();
   
-  // Update balance
-  const previousBalance = user.balance;
-  user.balance -= amount;
+  res.json({
+    message: 'Incoming transfers retrieved successfully',
+    accountId: user.accountId,
+    count: Math.min(incoming.length, limit),
+    total: incoming.length,
+    transfers: incoming.slice(0, limit)
+  });
+});
+
+// Get current limits and rolling 24-hour usage
+app.get('/limits', authenticateToken, authorize('account:read'), (req, res) => {
+  const user = users[req.user.username];
+  const tier = tierFor(user);
   
   res.json({
-    message: 'Withdrawal successful',
-    transaction: {
-      type: 'WITHDRAWAL',
-      amount: amount,
-      previousBalance: previousBalance,
-      newBalance: user.balance,
-      accountId: user.accountId,
-      timestamp: new Date().toISOString()
-    }
+    message: 'Limits retrieved successfully',
+    accountId: user.accountId,
+    tier: user.tier,
+    perTransaction: tier.perTransaction,
+    rolling24h: {
+      deposit: limitStatus(user, 'deposit'),
+      withdrawal: limitStatus(user, 'withdrawal')
+    },
+    timestamp: new Date().toISOString()
   });
 });
 
-// Get transaction history (bonus route)
-app.get('/account/info', authenticateToken, (req, res) => {
+// Get account details with the most recent transactions
+app.get('/account/info', authenticateToken, authorize('account:read'), (req, res) => {
   const user = users[req.user.username];
   
   res.json({
@@ -270,12 +1625,259 @@ app.get('/account/info', authenticateToken, (req, res) => {
       balance: user.balance,
       currency: 'USD',
       accountType: 'Savings',
+      tier: user.tier,
+      role: user.role,
+      twoFactorEnabled: isTwoFactorEnabled(user),
       status: 'Active'
     },
+    recentTransactions: recentTransactions(user),
     timestamp: new Date().toISOString()
   });
 });
 
+// Get transaction history
+// Query: page, limit (max 100), type (e.g. DEPOSIT or DEPOSIT,WITHDRAWAL),
+// from / to (ISO dates, inclusive). Newest first.
+app.get('/transactions', authenticateToken, authorize('account:read'), validate(SCHEMAS.transactions), (req, res) => {
+  const user = users[req.user.username];
+  const { page = 1, limit = 20 } = req.query;
+  
+  const types = req.query.type
+    ? req.query.type.toUpperCase().split(',').map((type) => type.trim())
+    : null;
+  const from = req.query.from ? parseDateBound(req.query.from, false) : -Infinity;
+  const to = req.query.to ? parseDateBound(req.query.to, true) : Infinity;
+  
+  const matching = transactionsFor(user)
+    .filter((transaction) => {
+      const time = Date.parse(transaction.timestamp);
+      return (!types || types.includes(transaction.type)) && time >= from && time <= to;
+    })
+    .reverse();
+  
+  const start = (page - 1) * limit;
+  
+  res.json({
+    message: 'Transactions retrieved successfully',
+    accountId: user.accountId,
+    currentBalance: user.balance,
+    transactions: matching.slice(start, start + limit).map((transaction) => ({
+      ...transaction,
+      runningBalance: transaction.newBalance
+    })),
+    pagination: {
+      page,
+      limit,
+      total: matching.length,
+      totalPages: Math.ceil(matching.length / limit)
+    }
+  });
+});
+
+// ==============================================
+// STAFF ROUTES - USER AND BALANCE ADMINISTRATION
+// ==============================================
+
+// List all users
+app.get('/admin/users', authenticateToken, authorize('users:read'), async (req, res, next) => {
+  try {
+    const list = Object.values(users).map(formatUser);
+    recordAudit(req, 'LIST_USERS', '*', { count: list.length });
+    await saveStore();
+    
+    res.json({
+      message: 'Users retrieved successfully',
+      count: list.length,
+      users: list
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// View any user's balance
+app.get('/admin/users/:username/balance', authenticateToken, authorize('balances:read'), validate(usernameParams), async (req, res, next) => {
+  try {
+    const user = findUser(req.params.username);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User account not found'
+      });
+    }
+    
+    recordAudit(req, 'VIEW_BALANCE', user.username);
+    await saveStore();
+    
+    res.json({
+      message: 'Balance retrieved successfully',
+      accountId: user.accountId,
+      username: user.username,
+      balance: user.balance,
+      currency: 'USD',
+      viewedBy: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Adjust a user's balance (positive to credit, negative to debit)
+app.post('/admin/users/:username/adjustments', authenticateToken, authorize('balances:adjust'), validate(SCHEMAS.adjustment), async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+    const user = findUser(req.params.username);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User account not found'
+      });
+    }
+    
+    if (user.balance + amount < 0) {
+      return res.status(400).json({
+        error: 'Insufficient Funds',
+        message: `Adjustment would make the balance negative. Current balance: $${user.balance}`,
+        availableBalance: user.balance,
+        requestedAmount: amount
+      });
+    }
+    
+    const previousBalance = user.balance;
+    user.balance += amount;
+    const audit = recordAudit(req, 'ADJUST_BALANCE', user.username, {
+      amount,
+      reason: reason.trim(),
+      previousBalance,
+      newBalance: user.balance
+    });
+    const transaction = recordTransaction(user, {
+      type: 'ADJUSTMENT',
+      amount: amount,
+      reason: reason.trim(),
+      previousBalance: previousBalance,
+      newBalance: user.balance,
+      performedBy: audit.performedBy,
+      auditId: audit.id,
+      timestamp: audit.timestamp
+    });
+    await saveStore();
+    
+    res.json({
+      message: 'Balance adjusted successfully',
+      transaction
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change a user's role. Their sessions are revoked so the new role is
+// picked up on the next login.
+app.put('/admin/users/:username/role', authenticateToken, authorize('users:manage'), validate(SCHEMAS.changeRole), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const user = findUser(req.params.username);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User account not found'
+      });
+    }
+    
+    if (user.username === req.user.username) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot change your own role'
+      });
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
+    revokeUserSessions(user.username, 'role changed');
+    recordAudit(req, 'CHANGE_ROLE', user.username, { previousRole, newRole: role });
+    await saveStore();
+    
+    res.json({
+      message: 'Role updated successfully',
+      user: formatUser(user)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a user to another account tier (changes their limits)
+app.put('/admin/users/:username/tier', authenticateToken, authorize('users:manage'), validate(SCHEMAS.changeTier), async (req, res, next) => {
+  try {
+    const { tier } = req.body;
+    const user = findUser(req.params.username);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User account not found'
+      });
+    }
+    
+    const previousTier = user.tier;
+    user.tier = tier;
+    recordAudit(req, 'CHANGE_TIER', user.username, { previousTier, newTier: tier });
+    await saveStore();
+    
+    res.json({
+      message: 'Tier updated successfully',
+      user: formatUser(user),
+      limits: ACCOUNT_TIERS[tier]
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Clear failed-login counters and any lockout for a user
+app.post('/admin/users/:username/unlock', authenticateToken, authorize('users:manage'), validate(usernameParams), async (req, res, next) => {
+  try {
+    const user = findUser(req.params.username);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User account not found'
+      });
+    }
+    
+    const usernameKey = user.username.toLowerCase();
+    const wasLocked = Boolean(loginBlock(usernameKey));
+    loginFailures.user.delete(usernameKey);
+    recordAudit(req, 'UNLOCK_LOGIN', user.username, { wasLocked });
+    await saveStore();
+    
+    res.json({
+      message: wasLocked ? 'User login unlocked' : 'User login was not locked; failure count cleared',
+      username: user.username
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// View the staff audit log, newest first
+app.get('/admin/audit-log', authenticateToken, authorize('audit:read'), validate(SCHEMAS.auditLog), (req, res) => {
+  const { limit = 50 } = req.query;
+  const entries = store.auditLog.slice(-limit).reverse();
+  
+  res.json({
+    message: 'Audit log retrieved successfully',
+    count: entries.length,
+    entries
+  });
+});
+
 // ==============================================
 // ERROR HANDLING
 // ==============================================
@@ -288,9 +1890,12 @@ app.use((req, res) => {
   });
 });
 
+// Malformed JSON bodies get the same 400 as a schema failure
+app.use(invalidJsonHandler);
+
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  req.log.error('Unhandled error', { error: err });
   res.status(500).json({
     error: 'Internal Server Error',
     message: 'Something went wrong on the server'
@@ -300,48 +1905,74 @@ app.use((err, req, res, next) => {
 // ==============================================
 // START SERVER
 // ==============================================
-app.listen(PORT, () => {
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`🏦  SECURE BANKING API SERVER`);
-  console.log(`${'='.repeat(60)}`);
-  console.log(`Server running on: http://localhost:${PORT}`);
-  console.log(`${'='.repeat(60)}\n`);
-  
-  console.log(`📋 Available Test Accounts:`);
-  console.log(`   Username: john_doe    | Password: password123 | Balance: $5,000`);
-  console.log(`   Username: jane_smith  | Password: secure456   | Balance: $10,000`);
-  console.log(`   Username: bob_wilson  | Password: mypass789   | Balance: $2,500\n`);
-  
-  console.log(`🔐 API Endpoints:`);
-  console.log(`   POST /login              - Authenticate and get JWT token`);
-  console.log(`   GET  /balance            - View account balance (protected)`);
-  console.log(`   POST /deposit            - Deposit money (protected)`);
-  console.log(`   POST /withdraw           - Withdraw money (protected)`);
-  console.log(`   GET  /account/info       - Get account details (protected)\n`);
-  
-  console.log(`🧪 Testing Instructions:\n`);
-  console.log(`1. Login to get token:`);
-  console.log(`   curl -X POST http://localhost:${PORT}/login \\`);
-  console.log(`     -H "Content-Type: application/json" \\`);
-  console.log(`     -d '{"username":"john_doe","password":"password123"}'\n`);
-  
-  console.log(`2. Use the token to check balance:`);
-  console.log(`   curl http://localhost:${PORT}/balance \\`);
-  console.log(`     -H "Authorization: Bearer YOUR_TOKEN_HERE"\n`);
-  
-  console.log(`3. Deposit money:`);
-  console.log(`   curl -X POST http://localhost:${PORT}/deposit \\`);
-  console.log(`     -H "Authorization: Bearer YOUR_TOKEN_HERE" \\`);
-  console.log(`     -H "Content-Type: application/json" \\`);
-  console.log(`     -d '{"amount":500}'\n`);
-  
-  console.log(`4. Withdraw money:`);
-  console.log(`   curl -X POST http://localhost:${PORT}/withdraw \\`);
-  console.log(`     -H "Authorization: Bearer YOUR_TOKEN_HERE" \\`);
-  console.log(`     -H "Content-Type: application/json" \\`);
-  console.log(`     -d '{"amount":200}'\n`);
-  
-  console.log(`${'='.repeat(60)}\n`);
+loadStore().then(() => {
+  app.listen(PORT, () => {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`🏦  SECURE BANKING API SERVER`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`Server running on: http://localhost:${PORT}`);
+    console.log(`${'='.repeat(60)}\n`);
+    
+    console.log(`📋 Available Test Accounts:`);
+    console.log(`   Username: john_doe    | Password: password123 | Balance: $5,000`);
+    console.log(`   Username: jane_smith  | Password: secure456   | Balance: $10,000`);
+    console.log(`   Username: bob_wilson  | Password: mypass789   | Balance: $2,500`);
+    console.log(`   Staff: log in as the BOOTSTRAP_ADMIN_USERNAME admin and promote users\n`);
+    
+    console.log(`🔐 API Endpoints:`);
+    console.log(`   POST /register           - Create a new user`);
+    console.log(`   POST /login              - Authenticate and get JWT + refresh token`);
+    console.log(`   POST /login/2fa          - Complete login with a TOTP or recovery code`);
+    console.log(`   POST /token/refresh      - Rotate refresh token, get new JWT`);
+    console.log(`   POST /logout             - Revoke the current session (protected)`);
+    console.log(`   GET  /balance            - View account balance (protected)`);
+    console.log(`   POST /deposit            - Deposit money (protected)`);
+    console.log(`   POST /withdraw           - Withdraw money (protected)`);
+    console.log(`   POST /transfer           - Send money to another user (protected)`);
+    console.log(`   GET  /transfers/incoming - Transfers received (protected)`);
+    console.log(`   GET  /account/info       - Get account details (protected)`);
+    console.log(`   GET  /transactions       - Transaction history (protected)`);
+    console.log(`   GET  /limits             - Limits and 24h usage (protected)`);
+    console.log(`   POST /2fa/enroll         - Start TOTP enrollment (protected)`);
+    console.log(`   POST /2fa/confirm        - Confirm TOTP, get recovery codes (protected)`);
+    console.log(`   GET  /admin/users        - List all users (teller, admin)`);
+    console.log(`   GET  /admin/users/:username/balance      - View any balance (teller, admin)`);
+    console.log(`   POST /admin/users/:username/adjustments  - Adjust a balance (teller, admin)`);
+    console.log(`   PUT  /admin/users/:username/role         - Change a role (admin)`);
+    console.log(`   PUT  /admin/users/:username/tier         - Change an account tier (admin)`);
+    console.log(`   POST /admin/users/:username/unlock       - Clear a login lockout (admin)`);
+    console.log(`   GET  /admin/audit-log    - Staff audit log (admin)`);
+    console.log(`   GET  /metrics            - Prometheus metrics`);
+    console.log(`   GET  /healthz, /readyz   - Liveness and readiness checks\n`);
+    
+    console.log(`🧪 Testing Instructions:\n`);
+    console.log(`1. Login to get token:`);
+    console.log(`   curl -X POST http://localhost:${PORT}/login \\`);
+    console.log(`     -H "Content-Type: application/json" \\`);
+    console.log(`     -d '{"username":"john_doe","password":"password123"}'\n`);
+    
+    console.log(`2. Use the token to check balance:`);
+    console.log(`   curl http://localhost:${PORT}/balance \\`);
+    console.log(`     -H "Authorization: Bearer YOUR_TOKEN_HERE"\n`);
+    
+    console.log(`3. Deposit money:`);
+    console.log(`   curl -X POST http://localhost:${PORT}/deposit \\`);
+    console.log(`     -H "Authorization: Bearer YOUR_TOKEN_HERE" \\`);
+    console.log(`     -H "Content-Type: application/json" \\`);
+    console.log(`     -d '{"amount":500}'\n`);
+    
+    console.log(`4. Withdraw money:`);
+    console.log(`   curl -X POST http://localhost:${PORT}/withdraw \\`);
+    console.log(`     -H "Authorization: Bearer YOUR_TOKEN_HERE" \\`);
+    console.log(`     -H "Content-Type: application/json" \\`);
+    console.log(`     -d '{"amount":200}'\n`);
+    
+    console.log(`${'='.repeat(60)}\n`);
+  });
+}).catch((err) => {
+  // Nothing is listening yet, so the process ends once the line is written
+  logger.error('Failed to load user store', { error: err });
+  process.exitCode = 1;
 });
 
 // ==============================================
@@ -350,6 +1981,22 @@ app.listen(PORT, () => {
 /*
 POSTMAN TESTING STEPS:
 
+Start the server with an admin account for the staff routes (needed the
+first time, and whenever the store has no admin):
+   BOOTSTRAP_ADMIN_USERNAME=alice_admin BOOTSTRAP_ADMIN_PASSWORD='Choose-A-Strong-1!' node main.js
+
+0. REGISTER (optional - demo users already exist):
+   - Method: POST
+   - URL: http://localhost:3000/register
+   - Headers: Content-Type: application/json
+   - Body (raw JSON):
+     {
+       "username": "new_user",
+       "password": "Str0ng!Passw0rd"
+     }
+   - Passwords need 8+ characters with upper and lower case letters,
+     a digit and a symbol. Users are saved to data/bank.json.
+
 1. LOGIN:
    - Method: POST
    - URL: http://localhost:3000/login
@@ -384,9 +2031,97 @@ POSTMAN TESTING STEPS:
        "amount": 500
      }
 
-5. TEST ERROR SCENARIOS:
+5. REFRESH THE ACCESS TOKEN (access tokens expire after 15 minutes):
+   - Method: POST
+   - URL: http://localhost:3000/token/refresh
+   - Body (raw JSON):
+     {
+       "refreshToken": "<refreshToken from login>"
+     }
+   - Each refresh returns a NEW refreshToken; the old one stops working.
+     Sending an old one again revokes the whole session.
+
+6. LOGOUT:
+   - Method: POST
+   - URL: http://localhost:3000/logout
+   - Authorization: Bearer Token
+   - The access token and refresh token stop working immediately
+
+7. TRANSFER TO ANOTHER USER:
+   - Method: POST
+   - URL: http://localhost:3000/transfer
+   - Authorization: Bearer Token
+   - Body (raw JSON):
+     {
+       "to": "jane_smith",
+       "amount": 150,
+       "description": "Dinner"
+     }
+   - "to" may be a username or an accountId (e.g. "ACC002"). Transfers
+     count towards your withdrawal limits.
+   - The recipient sees it in GET /transfers/incoming and as TRANSFER_IN
+     in GET /transactions; both records share the same transferId.
+
+8. TRANSACTION HISTORY:
+   - Method: GET
+   - URL: http://localhost:3000/transactions?page=1&limit=10
+   - Optional filters: type=DEPOSIT (or DEPOSIT,WITHDRAWAL),
+     from=2024-01-01, to=2024-01-31
+   - runningBalance is the balance right after each transaction
+   - GET /account/info also includes the last 5 transactions
+
+9. LIMITS:
+   - Method: GET
+   - URL: http://localhost:3000/limits
+   - Shows the per-transaction and rolling 24-hour deposit/withdrawal
+     limits for your tier (basic, standard, premium) and how much of the
+     24-hour allowance is used and remaining. Standard accounts may
+     withdraw $10,000 per transaction and $20,000 per 24 hours.
+
+10. TWO-FACTOR AUTHENTICATION (optional):
+   - POST http://localhost:3000/2fa/enroll (Bearer token)
+     Add the returned otpauthUri to an authenticator app
+   - POST http://localhost:3000/2fa/confirm (Bearer token)
+     Body: { "code": "123456" }
+     Save the recoveryCodes from the response
+   - From now on POST /login returns a challengeToken instead of a token:
+     POST http://localhost:3000/login/2fa
+     Body: { "challengeToken": "<challengeToken>", "code": "123456" }
+     (or { "challengeToken": "...", "recoveryCode": "a1b2c-3d4e5" })
+   - Withdrawals above $1,000 (TOTP_WITHDRAWAL_THRESHOLD) need a fresh code:
+     Body: { "amount": 2000, "totpCode": "123456" }
+
+11. STAFF ROUTES (login as the admin created from BOOTSTRAP_ADMIN_USERNAME /
+    BOOTSTRAP_ADMIN_PASSWORD, then make a teller with the role route below):
+   - GET  http://localhost:3000/admin/users
+   - GET  http://localhost:3000/admin/users/john_doe/balance
+   - POST http://localhost:3000/admin/users/john_doe/adjustments
+     Body: { "amount": -25, "reason": "Card replacement fee" }
+   - PUT  http://localhost:3000/admin/users/john_doe/role   (admin only)
+     Body: { "role": "teller" }
+   - PUT  http://localhost:3000/admin/users/john_doe/tier   (admin only)
+     Body: { "tier": "premium" }
+   - POST http://localhost:3000/admin/users/john_doe/unlock   (admin only)
+   - GET  http://localhost:3000/admin/audit-log   (admin only)
+   - Customers get 403 Forbidden on all of these. Every staff action is
+     recorded in the audit log with the staff member's username and role.
+
+12. TEST ERROR SCENARIOS:
    - Try accessing /balance without token (should fail)
    - Try with invalid token (should fail)
    - Try withdrawing more than balance (should fail)
+   - Send {"amount": "50", "note": "x"} to /deposit: 400 "Request validation
+     failed" with details for body.amount (must be a number) and body.note
+     (is not allowed). Every route checks its body, query and params against
+     the SCHEMAS in main.js before the handler runs.
+   - Withdraw $10,000 twice, then $1 more within 24 hours (should fail,
+     showing the remaining allowance)
    - Try invalid login credentials (should fail)
+   - Repeat a wrong password: after the 2nd failure each retry must wait
+     1s, 2s, 4s, ... and after 5 failures the username is locked for 15
+     minutes (429 with a Retry-After header). Tune with the
+     LOGIN_MAX_FAILURES_PER_USER, LOGIN_MAX_FAILURES_PER_IP, LOGIN_LOCKOUT_MS,
+     LOGIN_BACKOFF_BASE_MS, LOGIN_BACKOFF_MAX_MS, LOGIN_FAILURE_WINDOW_MS and
+     LOGIN_MAX_TRACKED_KEYS environment variables. Parallel guesses are
+     throttled the same way as sequential ones.
 */
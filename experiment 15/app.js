@@ -1,5 +1,10 @@
 const express = require('express');
+const crypto = require('crypto');
 const { MongoClient, ObjectId } = require('mongodb');
+const PDFDocument = require('pdfkit');
+const { createLogger, requestLogger } = require('../shared/logging');
+const { createMetrics, createHealthChecks } = require('../shared/metrics');
+const { validate, invalidJsonHandler } = require('../shared/validation');
 
 const app = express();
 const PORT = 3000;
@@ -8,36 +13,183 @@ const PORT = 3000;
 const MONGO_URI = 'mongodb://localhost:27017';
 const DB_NAME = 'bankingDB';
 const COLLECTION_NAME = 'accounts';
+const TRANSACTIONS_COLLECTION = 'transactions';
+const IDEMPOTENCY_COLLECTION = 'idempotencyKeys';
+const SCHEDULED_TRANSFERS_COLLECTION = 'scheduledTransfers';
+const SCHEDULED_RUNS_COLLECTION = 'scheduledTransferRuns';
+const EXCHANGE_RATES_COLLECTION = 'exchangeRates';
+const REVERSALS_COLLECTION = 'reversals';
+const DISPUTES_COLLECTION = 'disputes';
+const INTEREST_ACCRUALS_COLLECTION = 'interestAccruals';
+const INTEREST_POSTINGS_COLLECTION = 'interestPostings';
+const JOB_STATE_COLLECTION = 'jobState';
 
+// Account types: annual interest rate, minimum balance and monthly fee.
+// Amounts are in the account's own currency. The fee is charged for any
+// month in which an end-of-day balance fell below the minimum.
+const ACCOUNT_TYPES = {
+  CHECKING: { name: 'Checking', annualInterestRate: 0, minimumBalance: 0, monthlyFee: 0 },
+  SAVINGS: { name: 'Savings', annualInterestRate: 0.025, minimumBalance: 500, monthlyFee: 5 },
+  PREMIUM_SAVINGS: { name: 'Premium Savings', annualInterestRate: 0.04, minimumBalance: 10000, monthlyFee: 15 }
+};
+const DEFAULT_ACCOUNT_TYPE = 'CHECKING';
+
+// Admin API keys come from the ADMIN_API_KEYS environment variable as
+// comma-separated "staff-name:sha256-hex-of-key" pairs, so only hashes are
+// ever configured or held in memory. With none configured every admin
+// route is refused.
+const hashAdminKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const parseAdminKeys = (value = '') => {
+  const keys = new Map();
+  
+  value.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [name, hash] = entry.split(':');
+    if (!name || !/^[0-9a-f]{64}$/i.test(hash || '')) {
+      throw new Error(`ADMIN_API_KEYS entry "${name || entry}" must look like name:<64 hex sha256 of the key>`);
+    }
+    keys.set(hash.toLowerCase(), name);
+  });
+  
+  return keys;
+};
+
+// sha256 hex of the key -> staff member it identifies
+const ADMIN_API_KEYS = parseAdminKeys(process.env.ADMIN_API_KEYS);
+
+// If MongoDB is unreachable the server keeps running (reporting not ready)
+// and retries the connection this often
+const DB_RETRY_INTERVAL_MS = 5 * 1000;
+
+// How often the in-process scheduler looks for due transfers
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+// How long a stored Idempotency-Key response can be replayed (default 24 hours)
+const IDEMPOTENCY_KEY_TTL_MS = Number(process.env.IDEMPOTENCY_KEY_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// A key still 'processing' after this long belongs to a request that died
+// before finishing (withTransaction gives up after 120 seconds), so a retry
+// may take it over
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Multi-document transactions require a replica set (see installation notes)
+const TRANSACTION_OPTIONS = {
+  readPreference: 'primary',
+  readConcern: { level: 'snapshot' },
+  writeConcern: { w: 'majority' }
+};
+
+let mongoClient;
+let databaseReady = false;
 let db;
 let accountsCollection;
-
-// Middleware
-app.use(express.json());
+let transactionsCollection;
+let idempotencyCollection;
+let scheduledTransfersCollection;
+let scheduledRunsCollection;
+let exchangeRatesCollection;
+let reversalsCollection;
+let disputesCollection;
+let interestAccrualsCollection;
+let interestPostingsCollection;
+let jobStateCollection;
 
 // ==============================================
 // DATABASE CONNECTION
 // ==============================================
+// Returns true once connected and initialised, false on failure
 async function connectToDatabase() {
   try {
-    const client = await MongoClient.connect(MONGO_URI, {
+    mongoClient = await MongoClient.connect(MONGO_URI, {
       useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 5000,
     });
     
-    db = client.db(DB_NAME);
+    db = mongoClient.db(DB_NAME);
     accountsCollection = db.collection(COLLECTION_NAME);
+    transactionsCollection = db.collection(TRANSACTIONS_COLLECTION);
+    
+    // Ledger lookups are always per account, newest first; statements and
+    // balance reconstruction go by the date an entry is booked for
+    await transactionsCollection.createIndex({ accountNumber: 1, _id: -1 });
+    await transactionsCollection.createIndex({ accountNumber: 1, createdAt: 1 });
+    await transactionsCollection.createIndex({ transactionId: 1 });
+    
+    // Keys are unique per route and removed by MongoDB once they expire
+    idempotencyCollection = db.collection(IDEMPOTENCY_COLLECTION);
+    await idempotencyCollection.createIndex({ key: 1, route: 1 }, { unique: true });
+    await idempotencyCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    scheduledTransfersCollection = db.collection(SCHEDULED_TRANSFERS_COLLECTION);
+    scheduledRunsCollection = db.collection(SCHEDULED_RUNS_COLLECTION);
+    await scheduledTransfersCollection.createIndex({ status: 1, nextRunAt: 1 });
+    await scheduledRunsCollection.createIndex({ scheduledTransferId: 1, executedAt: -1 });
+    await scheduledRunsCollection.createIndex({ status: 1, executedAt: 1 });
+    
+    exchangeRatesCollection = db.collection(EXCHANGE_RATES_COLLECTION);
+    await exchangeRatesCollection.createIndex({ base: 1, quote: 1 }, { unique: true });
+    
+    // At most one reversal per original transaction
+    reversalsCollection = db.collection(REVERSALS_COLLECTION);
+    disputesCollection = db.collection(DISPUTES_COLLECTION);
+    await reversalsCollection.createIndex({ originalTransactionId: 1 }, { unique: true });
+    await disputesCollection.createIndex({ transactionId: 1, status: 1 });
+    
+    // At most one unresolved dispute per transaction. Disputes stored
+    // before the `unresolved` flag existed get it first.
+    await disputesCollection.updateMany(
+      { unresolved: { $exists: false } },
+      [{ $set: { unresolved: { $in: ['$status', UNRESOLVED_DISPUTE_STATUSES] } } }]
+    );
+    await disputesCollection.createIndex(
+      { transactionId: 1 },
+      { unique: true, partialFilterExpression: { unresolved: true }, name: 'one_unresolved_dispute' }
+    );
+    
+    // One accrual per account per day and one posting per account per
+    // month, so re-running the interest job for a date is harmless
+    interestAccrualsCollection = db.collection(INTEREST_ACCRUALS_COLLECTION);
+    interestPostingsCollection = db.collection(INTEREST_POSTINGS_COLLECTION);
+    await interestAccrualsCollection.createIndex({ accountNumber: 1, date: 1 }, { unique: true });
+    await interestPostingsCollection.createIndex({ accountNumber: 1, month: 1 }, { unique: true });
+    
+    // Progress of the background jobs (the last day the interest job finished)
+    jobStateCollection = db.collection(JOB_STATE_COLLECTION);
     
     console.log(`✅ Connected to MongoDB: ${DB_NAME}`);
     
+    // Convert data written before amounts were stored in minor units
+    await migrateToMinorUnits();
+    
     // Initialize sample accounts if collection is empty
     await initializeSampleAccounts();
+    await initializeSampleExchangeRates();
     
+    databaseReady = true;
+    return true;
   } catch (error) {
-    console.error('❌ MongoDB connection error:', error);
-    process.exit(1);
+    logger.error('MongoDB connection error', { error });
+    
+    // Drop a half-initialised client so the next attempt starts clean
+    if (mongoClient) {
+      await mongoClient.close().catch(() => {});
+      mongoClient = undefined;
+    }
+    return false;
   }
 }
 
+// Keeps trying until MongoDB is reachable, then starts the scheduler
+async function connectWithRetry() {
+  if (await connectToDatabase()) {
+    startScheduler();
+    return;
+  }
+  
+  console.log(`⏳ Retrying MongoDB connection in ${DB_RETRY_INTERVAL_MS / 1000}s (GET /readyz reports not ready meanwhile)`);
+  setTimeout(connectWithRetry, DB_RETRY_INTERVAL_MS);
+}
+
 // ==============================================
 // INITIALIZE SAMPLE ACCOUNTS
 // ==============================================
@@ -50,8 +202,9 @@ async function initializeSampleAccounts() {
         accountNumber: 'ACC001',
         accountHolder: 'John Doe',
         email: 'john@example.com',
-        balance: 5000,
+        balanceMinor: 500000,
         currency: 'USD',
+        accountType: 'CHECKING',
         status: 'active',
         createdAt: new Date()
       },
@@ -59,8 +212,9 @@ async function initializeSampleAccounts() {
         accountNumber: 'ACC002',
         accountHolder: 'Jane Smith',
         email: 'jane@example.com',
-        balance: 10000,
+        balanceMinor: 1000000,
         currency: 'USD',
+        accountType: 'SAVINGS',
         status: 'active',
         createdAt: new Date()
       },
@@ -68,8 +222,9 @@ async function initializeSampleAccounts() {
         accountNumber: 'ACC003',
         accountHolder: 'Bob Wilson',
         email: 'bob@example.com',
-        balance: 2500,
+        balanceMinor: 250000,
         currency: 'USD',
+        accountType: 'SAVINGS',
         status: 'active',
         createdAt: new Date()
       },
@@ -77,8 +232,29 @@ async function initializeSampleAccounts() {
         accountNumber: 'ACC004',
         accountHolder: 'Alice Johnson',
         email: 'alice@example.com',
-        balance: 500,
+        balanceMinor: 50000,
         currency: 'USD',
+        accountType: 'CHECKING',
+        status: 'active',
+        createdAt: new Date()
+      },
+      {
+        accountNumber: 'ACC005',
+        accountHolder: 'Marie Dupont',
+        email: 'marie@example.com',
+        balanceMinor: 300000,
+        currency: 'EUR',
+        accountType: 'PREMIUM_SAVINGS',
+        status: 'active',
+        createdAt: new Date()
+      },
+      {
+        accountNumber: 'ACC006',
+        accountHolder: 'Kenji Sato',
+        email: 'kenji@example.com',
+        balanceMinor: 250000,
+        currency: 'JPY',
+        accountType: 'CHECKING',
         status: 'active',
         createdAt: new Date()
       }
@@ -89,446 +265,3219 @@ async function initializeSampleAccounts() {
   }
 }
 
+async function initializeSampleExchangeRates() {
+  const count = await exchangeRatesCollection.countDocuments();
+  
+  if (count === 0) {
+    const now = new Date();
+    const sampleRates = [
+      { base: 'USD', quote: 'EUR', rate: 0.92 },
+      { base: 'USD', quote: 'GBP', rate: 0.79 },
+      { base: 'USD', quote: 'JPY', rate: 151.5 },
+      { base: 'EUR', quote: 'GBP', rate: 0.86 }
+    ].map((rate) => ({ ...rate, updatedAt: now, updatedBy: 'system' }));
+    
+    await exchangeRatesCollection.insertMany(sampleRates);
+    console.log('✅ Sample exchange rates initialized');
+  }
+}
+
 // ==============================================
-// MIDDLEWARE: REQUEST LOGGER
+// MIGRATION: MAJOR TO MINOR UNITS
 // ==============================================
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.url}`);
-  next();
-});
+
+// Earlier versions stored balances and ledger amounts as floating point
+// major units (dollars). Rewrites them once as integer minor units (cents).
+async function migrateToMinorUnits() {
+  const accounts = await accountsCollection
+    .find({ balance: { $exists: true }, balanceMinor: { $exists: false } })
+    .toArray();
+  
+  for (const account of accounts) {
+    const currency = account.currency || 'USD';
+    await accountsCollection.updateOne(
+      { _id: account._id },
+      {
+        $set: { balanceMinor: Math.round(account.balance * 10 ** currencyExponent(currency)), currency },
+        $unset: { balance: '' }
+      }
+    );
+  }
+  
+  const entries = await transactionsCollection
+    .find({ amount: { $exists: true }, amountMinor: { $exists: false } })
+    .toArray();
+  
+  // Pre-migration ledger entries are all same-currency; take the
+  // currency from the account they belong to (USD for the external side)
+  const currencies = new Map(accounts.map((account) => [account.accountNumber, account.currency || 'USD']));
+  const toMinor = (value, currency) => (value === null ? null : Math.round(value * 10 ** currencyExponent(currency)));
+  
+  for (const entry of entries) {
+    if (!currencies.has(entry.accountNumber)) {
+      const account = await accountsCollection.findOne({ accountNumber: entry.accountNumber });
+      currencies.set(entry.accountNumber, (account && account.currency) || 'USD');
+    }
+    const currency = currencies.get(entry.accountNumber);
+    
+    await transactionsCollection.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          currency,
+          amountMinor: toMinor(entry.amount, currency),
+          balanceBeforeMinor: toMinor(entry.balanceBefore, currency),
+          balanceAfterMinor: toMinor(entry.balanceAfter, currency),
+          exchangeRate: null
+        },
+        $unset: { amount: '', balanceBefore: '', balanceAfter: '' }
+      }
+    );
+  }
+  
+  if (accounts.length || entries.length) {
+    console.log(`✅ Migrated ${accounts.length} accounts and ${entries.length} ledger entries to minor units`);
+  }
+}
 
 // ==============================================
-// ROUTES
+// TRANSACTION HELPERS
 // ==============================================
 
-// Root route
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Bank Account Transfer System API',
-    version: '1.0.0',
-    endpoints: {
-      accounts: 'GET /accounts - List all accounts',
-      accountDetails: 'GET /accounts/:accountNumber - Get account details',
-      createAccount: 'POST /accounts - Create new account',
-      transfer: 'POST /transfer - Transfer money between accounts',
-      deposit: 'POST /deposit - Deposit money to account',
-      withdraw: 'POST /withdraw - Withdraw money from account'
+// Thrown inside a transaction callback to abort the transaction and
+// send a specific error response back to the client
+class BankingError extends Error {
+  constructor(status, error, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+function sendBankingError(res, err) {
+  return res.status(err.status).json({
+    error: err.error,
+    message: err.message,
+    ...err.details
+  });
+}
+
+// Runs `work(session)` inside a MongoDB transaction. withTransaction()
+// retries the callback on TransientTransactionError and retries the commit
+// on UnknownTransactionCommitResult, so `work` must be safe to re-run.
+// Any other error (including BankingError) aborts and is rethrown.
+async function runInTransaction(work) {
+  const session = mongoClient.startSession();
+  let result;
+  
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    }, TRANSACTION_OPTIONS);
+    
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// ==============================================
+// CURRENCY HELPERS
+// ==============================================
+
+// Any ISO 4217 code known to the runtime's Intl data
+function isValidCurrency(code) {
+  return typeof code === 'string'
+    && /^[A-Z]{3}$/.test(code)
+    && Intl.supportedValuesOf('currency').includes(code);
+}
+
+// Number of minor-unit digits: 2 for USD, 0 for JPY, 3 for KWD
+function currencyExponent(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+// Converts an API amount (major units, e.g. 12.34) to an integer number of
+// minor units (1234). Rejects more decimals than the currency has.
+function toMinorUnits(amount, currency) {
+  const scaled = amount * 10 ** currencyExponent(currency);
+  const minor = Math.round(scaled);
+  
+  if (Math.abs(scaled - minor) > 1e-6) {
+    throw new BankingError(400, 'Bad Request', `Amount has more than ${currencyExponent(currency)} decimal places for ${currency}`);
+  }
+  if (!Number.isSafeInteger(minor)) {
+    throw new BankingError(400, 'Bad Request', 'Amount is too large');
+  }
+  
+  return minor;
+}
+
+function toMajorUnits(minor, currency) {
+  return minor / 10 ** currencyExponent(currency);
+}
+
+function formatMinorUnits(minor, currency) {
+  return toMajorUnits(minor, currency).toFixed(currencyExponent(currency));
+}
+
+// Account as returned by the API, with the balance in major units
+function formatAccount({ _id, balanceMinor, statusHistory = [], limits, ...account }) {
+  return {
+    ...account,
+    accountType: account.accountType || DEFAULT_ACCOUNT_TYPE,
+    balance: toMajorUnits(balanceMinor, account.currency),
+    limits: formatLimits(limits, account.currency),
+    statusHistory
+  };
+}
+
+// Current rate to convert one unit of `from` into `to`. Uses the stored
+// pair directly, or inverts the opposite pair if only that one exists.
+async function getExchangeRate(from, to, session) {
+  if (from === to) {
+    return 1;
+  }
+  
+  const direct = await exchangeRatesCollection.findOne({ base: from, quote: to }, { session });
+  if (direct) {
+    return direct.rate;
+  }
+  
+  const inverse = await exchangeRatesCollection.findOne({ base: to, quote: from }, { session });
+  if (inverse) {
+    return 1 / inverse.rate;
+  }
+  
+  throw new BankingError(422, 'Exchange Rate Unavailable', `No exchange rate from ${from} to ${to}`);
+}
+
+// Converts minor units between currencies, rounding half up to the
+// target currency's smallest unit
+function convertMinorUnits(amountMinor, rate, from, to) {
+  const major = amountMinor / 10 ** currencyExponent(from);
+  return Math.round(major * rate * 10 ** currencyExponent(to));
+}
+
+// ==============================================
+// LIMIT HELPERS
+// ==============================================
+
+// Optional per-account limits, stored in minor units under `limits`:
+//   overdraftMinor       - how far below zero the balance may go
+//   dailyOutgoingMinor   - total transfers + withdrawals per UTC day
+//   perTransactionMinor  - largest single transfer or withdrawal
+// A missing or null limit means "no limit" (overdraft defaults to 0).
+const LIMIT_FIELDS = {
+  overdraftLimit: 'overdraftMinor',
+  dailyOutgoingLimit: 'dailyOutgoingMinor',
+  perTransactionLimit: 'perTransactionMinor'
+};
+
+const OUTGOING_TYPES = ['TRANSFER', 'WITHDRAWAL'];
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Limits as returned by the API, in major units
+function formatLimits(limits = {}, currency) {
+  const result = {};
+  Object.entries(LIMIT_FIELDS).forEach(([name, field]) => {
+    const value = limits[field];
+    result[name] = value === undefined || value === null ? null : toMajorUnits(value, currency);
+  });
+  return result;
+}
+
+// Total debited today by outgoing transfers and withdrawals. Reading this
+// inside the transaction is safe: two concurrent debits both write the
+// account document, so one of them hits a write conflict and is retried
+// after the other has committed.
+async function outgoingTodayMinor(accountNumber, session) {
+  const [result] = await transactionsCollection.aggregate([
+    {
+      $match: {
+        accountNumber,
+        entryType: 'DEBIT',
+        type: { $in: OUTGOING_TYPES },
+        createdAt: { $gte: startOfUtcDay() }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amountMinor' } } }
+  ], { session }).toArray();
+  
+  return result ? result.total : 0;
+}
+
+function limitExceeded(limit, message, details) {
+  return new BankingError(400, 'Limit Exceeded', message, { limit, ...details });
+}
+
+function insufficientFundsError(account, amountMinor) {
+  const { currency } = account;
+  const overdraftMinor = (account.limits && account.limits.overdraftMinor) || 0;
+  const availableMinor = account.balanceMinor + overdraftMinor;
+  
+  return new BankingError(400, 'Insufficient Funds', `Insufficient balance in account ${account.accountNumber}`, {
+    limit: overdraftMinor > 0 ? 'OVERDRAFT' : 'BALANCE',
+    availableBalance: toMajorUnits(account.balanceMinor, currency),
+    overdraftLimit: toMajorUnits(overdraftMinor, currency),
+    availableToSpend: toMajorUnits(availableMinor, currency),
+    requestedAmount: toMajorUnits(amountMinor, currency),
+    shortfall: toMajorUnits(amountMinor - availableMinor, currency)
+  });
+}
+
+// Checks an outgoing debit against the account's limits and throws a
+// BankingError naming the limit that was hit. Returns the lowest balance
+// the account may hold before the debit, for use in the conditional update.
+async function checkOutgoingLimits(account, amountMinor, session) {
+  const { accountNumber, currency } = account;
+  const limits = account.limits || {};
+  
+  if (limits.perTransactionMinor != null && amountMinor > limits.perTransactionMinor) {
+    throw limitExceeded('PER_TRANSACTION', `Amount exceeds the per-transaction limit of ${formatMinorUnits(limits.perTransactionMinor, currency)} ${currency}`, {
+      perTransactionLimit: toMajorUnits(limits.perTransactionMinor, currency),
+      requestedAmount: toMajorUnits(amountMinor, currency)
+    });
+  }
+  
+  if (limits.dailyOutgoingMinor != null) {
+    const usedMinor = await outgoingTodayMinor(accountNumber, session);
+    const remainingMinor = Math.max(limits.dailyOutgoingMinor - usedMinor, 0);
+    
+    if (amountMinor > remainingMinor) {
+      throw limitExceeded('DAILY_OUTGOING', `Amount exceeds the remaining daily outgoing limit of ${formatMinorUnits(remainingMinor, currency)} ${currency}`, {
+        dailyOutgoingLimit: toMajorUnits(limits.dailyOutgoingMinor, currency),
+        usedToday: toMajorUnits(usedMinor, currency),
+        remainingToday: toMajorUnits(remainingMinor, currency),
+        requestedAmount: toMajorUnits(amountMinor, currency)
+      });
+    }
+  }
+  
+  const minBalanceMinor = amountMinor - (limits.overdraftMinor || 0);
+  if (account.balanceMinor < minBalanceMinor) {
+    throw insufficientFundsError(account, amountMinor);
+  }
+  
+  return minBalanceMinor;
+}
+
+// ==============================================
+// LEDGER HELPERS
+// ==============================================
+
+// Counterparty for the second leg of deposits and withdrawals,
+// where money enters or leaves the bank
+const EXTERNAL_ACCOUNT = 'EXTERNAL';
+
+const TRANSACTION_TYPES = ['TRANSFER', 'DEPOSIT', 'WITHDRAWAL', 'REVERSAL', 'INTEREST', 'FEE'];
+const ENTRY_TYPES = ['DEBIT', 'CREDIT'];
+
+// Writes the two sides of a money movement to the ledger. `debit` and
+// `credit` are { accountNumber, currency, amountMinor, balanceBeforeMinor,
+// balanceAfterMinor }; the amounts differ only for cross-currency transfers
+// and balances are omitted for the external side of deposits and withdrawals.
+// `reversalOf` links a compensating REVERSAL back to the original transaction.
+async function recordLedgerEntries(session, { transactionId, type, description, debit, credit, exchangeRate = null, reversalOf = null, createdAt }) {
+  const entry = (entryType, side, counterparty) => ({
+    transactionId,
+    type,
+    entryType,
+    accountNumber: side.accountNumber,
+    counterparty: counterparty.accountNumber,
+    currency: side.currency,
+    amountMinor: side.amountMinor,
+    balanceBeforeMinor: side.balanceBeforeMinor !== undefined ? side.balanceBeforeMinor : null,
+    balanceAfterMinor: side.balanceAfterMinor !== undefined ? side.balanceAfterMinor : null,
+    exchangeRate,
+    description: description || null,
+    ...(reversalOf && { reversalOf }),
+    createdAt
+  });
+  
+  await transactionsCollection.insertMany(
+    [entry('DEBIT', debit, credit), entry('CREDIT', credit, debit)],
+    { session }
+  );
+}
+
+// Stored document as returned by the API, with _id as a string `id`
+function formatDocument({ _id, ...doc }) {
+  return { id: _id.toString(), ...doc };
+}
+
+// Ledger entry as returned by the API, with amounts in major units
+function formatLedgerEntry({ _id, amountMinor, balanceBeforeMinor, balanceAfterMinor, ...entry }) {
+  const toMajor = (minor) => (minor === null ? null : toMajorUnits(minor, entry.currency));
+  
+  return {
+    entryId: _id.toString(),
+    ...entry,
+    amount: toMajor(amountMinor),
+    balanceBefore: toMajor(balanceBeforeMinor),
+    balanceAfter: toMajor(balanceAfterMinor)
+  };
+}
+
+// ==============================================
+// REVERSAL HELPERS
+// ==============================================
+
+// Tries to move a transfer's money back inside one transaction. If the
+// receiver no longer holds the credited amount (or either account is
+// closed) nothing moves and the reason is returned, leaving the
+// reversal PENDING so it can be retried later.
+async function executeReversal(reversal, debitEntry, creditEntry) {
+  return runInTransaction(async (session) => {
+    const sender = await accountsCollection.findOne({ accountNumber: debitEntry.accountNumber }, { session });
+    const receiver = await accountsCollection.findOne({ accountNumber: creditEntry.accountNumber }, { session });
+    
+    if (!sender || !receiver) {
+      throw new BankingError(409, 'Conflict', 'An account involved in the transfer no longer exists');
+    }
+    
+    const closed = [sender, receiver].find((account) => account.status === 'closed');
+    if (closed) {
+      return { pendingReason: `Account ${closed.accountNumber} is closed` };
+    }
+    
+    // Take back exactly what was credited (in the receiver's currency) and
+    // return exactly what was debited, so FX rate changes cannot leak money.
+    // Overdraft does not apply: a reversal never pushes the receiver negative.
+    const debitResult = await accountsCollection.updateOne(
+      { accountNumber: receiver.accountNumber, balanceMinor: { $gte: creditEntry.amountMinor } },
+      { $inc: { balanceMinor: -creditEntry.amountMinor }, $set: { lastTransaction: new Date() } },
+      { session }
+    );
+    
+    if (debitResult.matchedCount === 0) {
+      return {
+        pendingReason: `Receiver account ${receiver.accountNumber} has insufficient funds (needs ${formatMinorUnits(creditEntry.amountMinor, receiver.currency)} ${receiver.currency})`
+      };
+    }
+    
+    await accountsCollection.updateOne(
+      { accountNumber: sender.accountNumber },
+      { $inc: { balanceMinor: debitEntry.amountMinor }, $set: { lastTransaction: new Date() } },
+      { session }
+    );
+    
+    const updatedSender = await accountsCollection.findOne({ accountNumber: sender.accountNumber }, { session });
+    const updatedReceiver = await accountsCollection.findOne({ accountNumber: receiver.accountNumber }, { session });
+    
+    const transactionId = new ObjectId().toString();
+    const timestamp = new Date();
+    await recordLedgerEntries(session, {
+      transactionId,
+      type: 'REVERSAL',
+      description: `Reversal of ${reversal.originalTransactionId}: ${reversal.reason}`,
+      debit: {
+        accountNumber: receiver.accountNumber,
+        currency: receiver.currency,
+        amountMinor: creditEntry.amountMinor,
+        balanceBeforeMinor: receiver.balanceMinor,
+        balanceAfterMinor: updatedReceiver.balanceMinor
+      },
+      credit: {
+        accountNumber: sender.accountNumber,
+        currency: sender.currency,
+        amountMinor: debitEntry.amountMinor,
+        balanceBeforeMinor: sender.balanceMinor,
+        balanceAfterMinor: updatedSender.balanceMinor
+      },
+      exchangeRate: debitEntry.exchangeRate,
+      reversalOf: reversal.originalTransactionId,
+      createdAt: timestamp
+    });
+    
+    await transactionsCollection.updateMany(
+      { transactionId: reversal.originalTransactionId },
+      { $set: { reversedBy: transactionId } },
+      { session }
+    );
+    
+    // Completing is conditional on the reversal still being pending, so a
+    // concurrent retry aborts this transaction instead of reversing twice
+    const completeResult = await reversalsCollection.updateOne(
+      { _id: reversal._id, status: 'PENDING' },
+      { $set: { status: 'COMPLETED', reversalTransactionId: transactionId, completedAt: timestamp, pendingReason: null } },
+      { session }
+    );
+    
+    if (completeResult.modifiedCount === 0) {
+      throw new BankingError(409, 'Conflict', `Transaction ${reversal.originalTransactionId} is already being reversed`);
     }
+    
+    return { reversalTransactionId: transactionId, completedAt: timestamp };
+  });
+}
+
+// Reverses a TRANSFER with a compensating ledger entry. A transaction can
+// only be reversed once; calling this again for a PENDING reversal retries it.
+async function reverseTransfer(originalTransactionId, { reason, requestedBy, log = logger }) {
+  const entries = await transactionsCollection.find({ transactionId: originalTransactionId }).toArray();
+  if (entries.length === 0) {
+    throw new BankingError(404, 'Not Found', `Transaction ${originalTransactionId} does not exist`);
+  }
+  
+  const debitEntry = entries.find((entry) => entry.entryType === 'DEBIT');
+  const creditEntry = entries.find((entry) => entry.entryType === 'CREDIT');
+  
+  if (debitEntry.type !== 'TRANSFER') {
+    throw new BankingError(400, 'Bad Request', `Only transfers can be reversed; ${originalTransactionId} is a ${debitEntry.type}`);
+  }
+  
+  let reversal = await reversalsCollection.findOne({ originalTransactionId });
+  
+  if (reversal && reversal.status === 'COMPLETED') {
+    throw new BankingError(409, 'Conflict', `Transaction ${originalTransactionId} has already been reversed`, {
+      reversalTransactionId: reversal.reversalTransactionId
+    });
+  }
+  
+  if (!reversal) {
+    reversal = {
+      _id: new ObjectId(),
+      originalTransactionId,
+      fromAccount: creditEntry.accountNumber,
+      toAccount: debitEntry.accountNumber,
+      reason,
+      requestedBy,
+      status: 'PENDING',
+      attempts: 0,
+      createdAt: new Date()
+    };
+    
+    try {
+      await reversalsCollection.insertOne(reversal);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new BankingError(409, 'Conflict', `Transaction ${originalTransactionId} is already being reversed`);
+      }
+      throw error;
+    }
+  }
+  
+  const outcome = await executeReversal(reversal, debitEntry, creditEntry);
+  
+  if (outcome.pendingReason) {
+    await reversalsCollection.updateOne(
+      { _id: reversal._id, status: 'PENDING' },
+      { $set: { pendingReason: outcome.pendingReason, lastAttemptAt: new Date() }, $inc: { attempts: 1 } }
+    );
+    log.info('Reversal pending', {
+      admin: requestedBy,
+      transactionId: originalTransactionId,
+      reason: outcome.pendingReason
+    });
+    return { ...reversal, pendingReason: outcome.pendingReason, attempts: reversal.attempts + 1 };
+  }
+  
+  await reversalsCollection.updateOne({ _id: reversal._id }, { $inc: { attempts: 1 } });
+  log.info('Transaction reversed', {
+    admin: requestedBy,
+    transactionId: originalTransactionId,
+    reversalTransactionId: outcome.reversalTransactionId
+  });
+  return { ...reversal, ...outcome, status: 'COMPLETED', pendingReason: null, attempts: reversal.attempts + 1 };
+}
+
+// ==============================================
+// STATEMENT HELPERS
+// ==============================================
+const STATEMENT_FORMATS = ['csv', 'pdf'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A date-only `to` (e.g. 2024-06-30) covers that whole day, so the
+// period end is the start of the following day (exclusive)
+function statementPeriodEnd(to) {
+  const end = new Date(to);
+  if (DATE_ONLY_PATTERN.test(to)) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  }
+  return end;
+}
+
+// Balance (minor units) the account held at `instant`: the current balance
+// with every ledger entry booked from then on taken back out. Interest and
+// fees are booked at the end of the period they cover, after later entries
+// may already exist, so the stored balanceAfterMinor of the entry just
+// before `instant` cannot be relied on.
+async function balanceAt(account, instant) {
+  const { accountNumber } = account;
+  const current = await accountsCollection.findOne({ accountNumber }, { projection: { balanceMinor: 1 } });
+  
+  const [later] = await transactionsCollection.aggregate([
+    { $match: { accountNumber, createdAt: { $gte: instant } } },
+    {
+      $group: {
+        _id: null,
+        netMinor: { $sum: { $cond: [{ $eq: ['$entryType', 'CREDIT'] }, '$amountMinor', { $multiply: ['$amountMinor', -1] }] } }
+      }
+    }
+  ]).toArray();
+  
+  return (current ? current.balanceMinor : account.balanceMinor) - (later ? later.netMinor : 0);
+}
+
+// Collects the ledger entries for [periodStart, periodEnd) and walks them
+// in order, so every line carries the running balance after it.
+// All amounts in the result are minor units of the account currency.
+async function buildStatement(account, periodStart, periodEnd) {
+  const { accountNumber } = account;
+  const openingBalance = await balanceAt(account, periodStart);
+  
+  const entries = await transactionsCollection
+    .find({ accountNumber, createdAt: { $gte: periodStart, $lt: periodEnd } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+  
+  let runningBalance = openingBalance;
+  let totalDebits = 0;
+  let totalCredits = 0;
+  
+  const lines = entries.map((entry) => {
+    const isDebit = entry.entryType === 'DEBIT';
+    runningBalance += isDebit ? -entry.amountMinor : entry.amountMinor;
+    if (isDebit) {
+      totalDebits += entry.amountMinor;
+    } else {
+      totalCredits += entry.amountMinor;
+    }
+    
+    return {
+      date: entry.createdAt,
+      transactionId: entry.transactionId,
+      type: entry.type,
+      description: entry.description || entry.type,
+      counterparty: entry.counterparty,
+      debit: isDebit ? entry.amountMinor : null,
+      credit: isDebit ? null : entry.amountMinor,
+      balance: runningBalance
+    };
+  });
+  
+  return {
+    accountNumber,
+    accountHolder: account.accountHolder,
+    currency: account.currency,
+    periodStart,
+    periodEnd,
+    openingBalance,
+    closingBalance: runningBalance,
+    totalDebits,
+    totalCredits,
+    lines
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderStatementCsv(statement) {
+  const row = (fields) => fields.map(csvField).join(',');
+  const formatAmount = (minor) => formatMinorUnits(minor, statement.currency);
+  const rows = [
+    row(['Date', 'Transaction ID', 'Type', 'Description', 'Counterparty', 'Debit', 'Credit', 'Balance']),
+    row([statement.periodStart.toISOString(), '', '', 'Opening balance', '', '', '', formatAmount(statement.openingBalance)])
+  ];
+  
+  statement.lines.forEach((line) => {
+    rows.push(row([
+      line.date.toISOString(),
+      line.transactionId,
+      line.type,
+      line.description,
+      line.counterparty,
+      line.debit === null ? '' : formatAmount(line.debit),
+      line.credit === null ? '' : formatAmount(line.credit),
+      formatAmount(line.balance)
+    ]));
+  });
+  
+  rows.push(row([statement.periodEnd.toISOString(), '', '', 'Closing balance', '', formatAmount(statement.totalDebits), formatAmount(statement.totalCredits), formatAmount(statement.closingBalance)]));
+  
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+// Writes the statement as a PDF to `stream` (generated in-process by pdfkit)
+function renderStatementPdf(statement, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+  
+  const lastDay = new Date(statement.periodEnd.getTime() - 1);
+  const formatAmount = (minor) => formatMinorUnits(minor, statement.currency);
+  
+  doc.fontSize(18).text('Account Statement', { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(10)
+    .text(`Account: ${statement.accountNumber} (${statement.accountHolder})`)
+    .text(`Period: ${statement.periodStart.toISOString().slice(0, 10)} to ${lastDay.toISOString().slice(0, 10)}`)
+    .text(`Currency: ${statement.currency}`)
+    .text(`Generated: ${new Date().toISOString()}`);
+  doc.moveDown();
+  
+  const columns = [
+    { x: 40, width: 65 },
+    { x: 105, width: 175 },
+    { x: 280, width: 85, align: 'right' },
+    { x: 365, width: 85, align: 'right' },
+    { x: 450, width: 105, align: 'right' }
+  ];
+  
+  const drawRow = (values, font = 'Helvetica') => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    columns.forEach((column, i) => {
+      doc.text(values[i], column.x, y, {
+        width: column.width,
+        align: column.align || 'left',
+        height: 12,
+        ellipsis: true
+      });
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + 16;
+  };
+  
+  drawRow(['Date', 'Description', 'Debit', 'Credit', 'Balance'], 'Helvetica-Bold');
+  drawRow(['', 'Opening balance', '', '', formatAmount(statement.openingBalance)], 'Helvetica-Bold');
+  
+  statement.lines.forEach((line) => {
+    drawRow([
+      line.date.toISOString().slice(0, 10),
+      `${line.description} (${line.counterparty})`,
+      line.debit === null ? '' : formatAmount(line.debit),
+      line.credit === null ? '' : formatAmount(line.credit),
+      formatAmount(line.balance)
+    ]);
+  });
+  
+  drawRow(['', 'Closing balance', formatAmount(statement.totalDebits), formatAmount(statement.totalCredits), formatAmount(statement.closingBalance)], 'Helvetica-Bold');
+  
+  doc.end();
+}
+
+// ==============================================
+// SCHEDULED TRANSFER HELPERS
+// ==============================================
+const INTERVAL_RECURRENCES = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Five-field cron expression: minute hour day-of-month month day-of-week.
+// Supports *, lists (1,15), ranges (1-5) and steps (*/15, 0-30/10); times are UTC.
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+function parseCronField(field, { name, min, max }) {
+  const values = new Set();
+  
+  for (const part of field.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new BankingError(400, 'Bad Request', `Invalid cron ${name} field "${field}"`);
+    }
+    
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) {
+      end = match[2] ? max : start;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+    
+    if (start < min || end > max || start > end || step < 1) {
+      throw new BankingError(400, 'Bad Request', `Invalid cron ${name} field "${field}"`);
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      // Both 0 and 7 mean Sunday
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+  
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new BankingError(400, 'Bad Request', 'Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  
+  const cron = {};
+  CRON_FIELDS.forEach((spec, i) => {
+    cron[spec.name] = parseCronField(fields[i], spec);
+  });
+  
+  // Standard cron rule: when both day fields are restricted, either may match
+  cron.dayOfMonthRestricted = fields[2] !== '*';
+  cron.dayOfWeekRestricted = fields[4] !== '*';
+  return cron;
+}
+
+function cronDayMatches(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+  
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+// First minute strictly after `after` that matches the expression,
+// or null if nothing matches within five years (e.g. "0 0 31 2 *")
+function nextCronRun(expression, after) {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  
+  const limit = after.getTime() + 5 * 366 * DAY_MS;
+  
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  
+  return null;
+}
+
+// `monthsToAdd` months after `anchor`, keeping its day of month where the
+// month is long enough (rent on the 31st runs on the 30th in June)
+function addMonthsClamped(anchor, monthsToAdd) {
+  const month = anchor.getUTCMonth() + monthsToAdd;
+  const daysInMonth = new Date(Date.UTC(anchor.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  
+  return new Date(Date.UTC(
+    anchor.getUTCFullYear(),
+    month,
+    Math.min(anchor.getUTCDate(), daysInMonth),
+    anchor.getUTCHours(),
+    anchor.getUTCMinutes(),
+    anchor.getUTCSeconds()
+  ));
+}
+
+// First occurrence of the schedule strictly after `after`, ignoring endAt
+function nextOccurrence(schedule, after) {
+  const { type, startAt } = schedule;
+  
+  switch (type) {
+    case 'once':
+      return startAt > after ? startAt : null;
+    case 'daily':
+    case 'weekly': {
+      const period = type === 'daily' ? DAY_MS : 7 * DAY_MS;
+      if (startAt > after) {
+        return startAt;
+      }
+      const periods = Math.floor((after - startAt) / period) + 1;
+      return new Date(startAt.getTime() + periods * period);
+    }
+    case 'monthly': {
+      let months = 0;
+      let candidate = startAt;
+      while (candidate <= after) {
+        months += 1;
+        candidate = addMonthsClamped(startAt, months);
+      }
+      return candidate;
+    }
+    case 'cron':
+      return nextCronRun(schedule.expression, new Date(Math.max(after, startAt - 1)));
+    default:
+      return null;
+  }
+}
+
+function nextRunWithinEnd(scheduled, after) {
+  const next = nextOccurrence(scheduled.schedule, after);
+  if (!next || (scheduled.endAt && next > scheduled.endAt)) {
+    return null;
+  }
+  return next;
+}
+
+// Builds the stored schedule from the request body: either a one-off
+// `runAt`, or a `recurrence` of daily / weekly / monthly / cron expression
+// starting at `startAt` (default now). Field formats are checked by
+// SCHEMAS.createScheduledTransfer; this handles how they combine.
+function parseSchedule({ runAt, recurrence, startAt }) {
+  if (runAt && recurrence) {
+    throw new BankingError(400, 'Bad Request', 'Provide either runAt or recurrence, not both');
+  }
+  
+  if (runAt) {
+    return { type: 'once', startAt: new Date(runAt) };
+  }
+  
+  if (!recurrence) {
+    throw new BankingError(400, 'Bad Request', 'runAt or recurrence is required');
+  }
+  
+  const start = startAt ? new Date(startAt) : new Date();
+  
+  if (INTERVAL_RECURRENCES.includes(recurrence)) {
+    return { type: recurrence, startAt: start };
+  }
+  
+  // Anything else must be a cron expression; parse now to reject bad input
+  parseCron(recurrence);
+  return { type: 'cron', expression: recurrence.trim(), startAt: start };
+}
+
+// ==============================================
+// SCHEDULED TRANSFER EXECUTOR
+// ==============================================
+let schedulerRunning = false;
+
+// A run still PENDING after this long was interrupted (withTransaction gives
+// up after 120 seconds) and is recorded as failed
+const SCHEDULED_RUN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Records the outcome on the run and the scheduled transfer's counters.
+// Does nothing if the run already has an outcome.
+async function finishScheduledRun(run, { status, transactionId = null, reason = null }, session) {
+  const finished = await scheduledRunsCollection.updateOne(
+    { _id: run._id, status: 'PENDING' },
+    { $set: { status, transactionId, reason, finishedAt: new Date() } },
+    { session }
+  );
+  if (finished.modifiedCount === 0) {
+    return;
+  }
+  
+  await scheduledTransfersCollection.updateOne(
+    { _id: run.scheduledTransferId },
+    {
+      $set: { lastRunStatus: status, lastFailureReason: reason },
+      $inc: { runCount: 1, failureCount: status === 'FAILED' ? 1 : 0 }
+    },
+    { session }
+  );
+}
+
+// Executes one due run. The run is claimed by moving nextRunAt forward and
+// recording a PENDING run in one transaction, so a concurrent executor that
+// read the same document matches nothing and the money only moves once.
+// SUCCESS is recorded inside the transfer's transaction, so a run left
+// PENDING never moved money.
+async function executeScheduledTransfer(scheduled, now) {
+  const scheduledFor = scheduled.nextRunAt;
+  // Runs missed while the service was down are skipped, not replayed
+  const nextRunAt = nextRunWithinEnd(scheduled, scheduledFor > now ? scheduledFor : now);
+  
+  const run = await runInTransaction(async (session) => {
+    const claim = await scheduledTransfersCollection.updateOne(
+      { _id: scheduled._id, status: 'active', nextRunAt: scheduledFor },
+      { $set: { nextRunAt, status: nextRunAt ? 'active' : 'completed', lastRunAt: now } },
+      { session }
+    );
+    
+    if (claim.modifiedCount === 0) {
+      return null;
+    }
+    
+    const pendingRun = {
+      _id: new ObjectId(),
+      scheduledTransferId: scheduled._id,
+      scheduledFor,
+      executedAt: new Date(),
+      status: 'PENDING'
+    };
+    await scheduledRunsCollection.insertOne(pendingRun, { session });
+    return pendingRun;
+  });
+  
+  if (!run) {
+    return;
+  }
+  
+  try {
+    const transaction = await performTransfer({
+      fromAccount: scheduled.fromAccount,
+      toAccount: scheduled.toAccount,
+      amount: scheduled.amount,
+      description: scheduled.description || 'Scheduled transfer'
+    }, (session, result) => finishScheduledRun(run, { status: 'SUCCESS', transactionId: result.transactionId }, session));
+    logger.info('Scheduled transfer executed', {
+      scheduledTransferId: scheduled._id,
+      accountNumber: scheduled.fromAccount,
+      transactionId: transaction.transactionId
+    });
+  } catch (error) {
+    const reason = error instanceof BankingError ? error.message : `Internal error: ${error.message}`;
+    await finishScheduledRun(run, { status: 'FAILED', reason });
+    logger.warn('Scheduled transfer failed', {
+      scheduledTransferId: scheduled._id,
+      accountNumber: scheduled.fromAccount,
+      reason
+    });
+  }
+}
+
+// Runs left PENDING by a crash or lost connection are recorded as failed.
+// They are not retried, like any other run missed while the service was down.
+async function failInterruptedScheduledRuns(now) {
+  const interrupted = await scheduledRunsCollection
+    .find({ status: 'PENDING', executedAt: { $lte: new Date(now.getTime() - SCHEDULED_RUN_TIMEOUT_MS) } })
+    .toArray();
+  
+  for (const run of interrupted) {
+    await finishScheduledRun(run, { status: 'FAILED', reason: 'Interrupted before the transfer completed' });
+  }
+}
+
+async function runDueScheduledTransfers() {
+  // Skip this tick if the previous one is still working through a backlog
+  if (schedulerRunning) {
+    return;
+  }
+  schedulerRunning = true;
+  
+  try {
+    const now = new Date();
+    await failInterruptedScheduledRuns(now);
+    
+    const due = await scheduledTransfersCollection
+      .find({ status: 'active', nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(100)
+      .toArray();
+    
+    for (const scheduled of due) {
+      await executeScheduledTransfer(scheduled, now);
+    }
+  } catch (error) {
+    logger.error('Scheduled transfer executor error', { error });
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+// One tick runs due scheduled transfers and, once a day, the interest job
+async function schedulerTick() {
+  await runDueScheduledTransfers();
+  await runDailyInterestIfDue();
+}
+
+function startScheduler() {
+  schedulerTick();
+  setInterval(schedulerTick, SCHEDULER_INTERVAL_MS);
+}
+
+// ==============================================
+// INTEREST AND FEE ENGINE
+// ==============================================
+const DAYS_PER_YEAR = 365;
+let lastInterestRunDate = null;
+
+function accountTypeOf(account) {
+  return ACCOUNT_TYPES[account.accountType] || ACCOUNT_TYPES[DEFAULT_ACCOUNT_TYPE];
+}
+
+// 'YYYY-MM-DD' for the UTC day starting at `day`
+function utcDateKey(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+// Parses a strict 'YYYY-MM-DD' into the start of that UTC day, or null
+function parseUtcDate(value) {
+  if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value)) {
+    return null;
+  }
+  const day = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(day) || utcDateKey(day) !== value ? null : day;
+}
+
+// Records one day's interest on the end-of-day balance. Interest is kept
+// in fractional minor units until it is posted, so no rounding is lost.
+// Returns false if the day was already accrued.
+async function accrueDailyInterest(account, day, dayEnd) {
+  const type = accountTypeOf(account);
+  const endOfDayBalanceMinor = await balanceAt(account, dayEnd);
+  
+  try {
+    await interestAccrualsCollection.insertOne({
+      accountNumber: account.accountNumber,
+      date: utcDateKey(day),
+      accountType: account.accountType || DEFAULT_ACCOUNT_TYPE,
+      currency: account.currency,
+      endOfDayBalanceMinor,
+      annualInterestRate: type.annualInterestRate,
+      interestMinor: endOfDayBalanceMinor > 0 ? endOfDayBalanceMinor * type.annualInterestRate / DAYS_PER_YEAR : 0,
+      belowMinimum: endOfDayBalanceMinor < toMinorUnits(type.minimumBalance, account.currency),
+      createdAt: new Date()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Last instant of a 'YYYY-MM' month. Interest and fee entries are booked
+// here, so statements and history show them in the month they cover.
+function monthEndInstant(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex, 1) - 1);
+}
+
+// Applies one side of a monthly posting to the balance and the ledger.
+// With `minBalanceMinor` the debit only applies while the account is active
+// and its balance still covers it; returns null if it did not.
+async function postAccountAdjustment(session, account, { type, amountMinor, description, createdAt, minBalanceMinor = null }) {
+  const isCredit = type === 'INTEREST';
+  const before = await accountsCollection.findOne({ accountNumber: account.accountNumber }, { session });
+  
+  const filter = minBalanceMinor === null
+    ? { accountNumber: account.accountNumber }
+    : { accountNumber: account.accountNumber, status: 'active', balanceMinor: { $gte: minBalanceMinor } };
+  
+  const result = await accountsCollection.updateOne(
+    filter,
+    { $inc: { balanceMinor: isCredit ? amountMinor : -amountMinor } },
+    { session }
+  );
+  
+  if (result.matchedCount === 0) {
+    return null;
+  }
+  
+  const transactionId = new ObjectId().toString();
+  const accountSide = {
+    accountNumber: account.accountNumber,
+    currency: account.currency,
+    amountMinor,
+    balanceBeforeMinor: before.balanceMinor,
+    balanceAfterMinor: before.balanceMinor + (isCredit ? amountMinor : -amountMinor)
+  };
+  const externalSide = { accountNumber: EXTERNAL_ACCOUNT, currency: account.currency, amountMinor };
+  
+  await recordLedgerEntries(session, {
+    transactionId,
+    type,
+    description,
+    debit: isCredit ? externalSide : accountSide,
+    credit: isCredit ? accountSide : externalSide,
+    createdAt
+  });
+  
+  return transactionId;
+}
+
+// Debits the monthly fee like any other outgoing payment: only from an
+// active account and within its limits and overdraft. A fee that cannot
+// be taken is skipped and the reason kept on the posting.
+async function chargeMonthlyFee(session, account, { amountMinor, description, createdAt }) {
+  const current = await accountsCollection.findOne({ accountNumber: account.accountNumber }, { session });
+  
+  if (current.status !== 'active') {
+    return { transactionId: null, skippedReason: `ACCOUNT_${current.status.toUpperCase()}` };
+  }
+  
+  let minBalanceMinor;
+  try {
+    minBalanceMinor = await checkOutgoingLimits(current, amountMinor, session);
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return { transactionId: null, skippedReason: error.details.limit || 'INSUFFICIENT_FUNDS' };
+    }
+    throw error;
+  }
+  
+  const transactionId = await postAccountAdjustment(session, current, {
+    type: 'FEE',
+    amountMinor,
+    description,
+    createdAt,
+    minBalanceMinor
+  });
+  
+  return transactionId
+    ? { transactionId, skippedReason: null }
+    : { transactionId: null, skippedReason: 'INSUFFICIENT_FUNDS' };
+}
+
+// Posts a month's accrued interest (rounded to the nearest minor unit)
+// and, if the balance dipped below the minimum, the monthly fee. Both are
+// booked at the last instant of the month. The posting record is written
+// in the same transaction, so a month can only ever be posted once.
+// Returns null if it already was.
+async function postMonthlyInterestAndFee(account, month) {
+  const type = accountTypeOf(account);
+  const accruals = await interestAccrualsCollection
+    .find({ accountNumber: account.accountNumber, date: { $regex: `^${month}-` } })
+    .toArray();
+  
+  if (accruals.length === 0) {
+    return null;
+  }
+  
+  const interestMinor = Math.round(accruals.reduce((sum, accrual) => sum + accrual.interestMinor, 0));
+  const feeMinor = accruals.some((accrual) => accrual.belowMinimum)
+    ? toMinorUnits(type.monthlyFee, account.currency)
+    : 0;
+  const bookedAt = monthEndInstant(month);
+  
+  try {
+    return await runInTransaction(async (session) => {
+      const posting = {
+        accountNumber: account.accountNumber,
+        month,
+        currency: account.currency,
+        daysAccrued: accruals.length,
+        interestMinor,
+        feeMinor,
+        interestTransactionId: null,
+        feeTransactionId: null,
+        feeSkippedReason: null,
+        postedAt: new Date()
+      };
+      
+      if (interestMinor > 0) {
+        posting.interestTransactionId = await postAccountAdjustment(session, account, {
+          type: 'INTEREST',
+          amountMinor: interestMinor,
+          description: `Interest for ${month}`,
+          createdAt: bookedAt
+        });
+      }
+      
+      if (feeMinor > 0) {
+        const fee = await chargeMonthlyFee(session, account, {
+          amountMinor: feeMinor,
+          description: `Monthly fee for ${month} (balance below ${type.minimumBalance} ${account.currency})`,
+          createdAt: bookedAt
+        });
+        posting.feeTransactionId = fee.transactionId;
+        posting.feeSkippedReason = fee.skippedReason;
+      }
+      
+      await interestPostingsCollection.insertOne(posting, { session });
+      return posting;
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Accrues interest for every open, interest- or fee-bearing account for
+// the UTC day starting at `day`. When that day is the last of its month,
+// the month's interest and fees are posted as ledger transactions.
+// Accounts whose month is already posted are skipped: a later accrual
+// would never be credited. Deterministic for a given date and safe to re-run.
+async function runInterestJob(day, log = logger) {
+  const dayEnd = new Date(day.getTime() + DAY_MS);
+  const isMonthEnd = dayEnd.getUTCDate() === 1;
+  const month = utcDateKey(day).slice(0, 7);
+  
+  const accounts = await accountsCollection
+    .find({ status: { $ne: 'closed' }, createdAt: { $lt: dayEnd } })
+    .toArray();
+  
+  const postedAccounts = new Set(await interestPostingsCollection.distinct('accountNumber', { month }));
+  
+  const summary = {
+    date: utcDateKey(day),
+    monthEnd: isMonthEnd,
+    accountsProcessed: 0,
+    accrued: 0,
+    alreadyAccrued: 0,
+    alreadyPosted: 0,
+    postings: []
+  };
+  
+  for (const account of accounts) {
+    const type = accountTypeOf(account);
+    if (type.annualInterestRate === 0 && type.monthlyFee === 0) {
+      continue;
+    }
+    
+    if (postedAccounts.has(account.accountNumber)) {
+      summary.alreadyPosted += 1;
+      continue;
+    }
+    
+    summary.accountsProcessed += 1;
+    if (await accrueDailyInterest(account, day, dayEnd)) {
+      summary.accrued += 1;
+    } else {
+      summary.alreadyAccrued += 1;
+    }
+    
+    if (isMonthEnd) {
+      const posting = await postMonthlyInterestAndFee(account, month);
+      if (posting) {
+        summary.postings.push({
+          accountNumber: posting.accountNumber,
+          month: posting.month,
+          currency: posting.currency,
+          interest: toMajorUnits(posting.interestMinor, posting.currency),
+          fee: toMajorUnits(posting.feeTransactionId ? posting.feeMinor : 0, posting.currency),
+          feeSkippedReason: posting.feeSkippedReason,
+          interestTransactionId: posting.interestTransactionId,
+          feeTransactionId: posting.feeTransactionId
+        });
+      }
+    }
+  }
+  
+  log.info('Interest job completed', {
+    date: summary.date,
+    accountsProcessed: summary.accountsProcessed,
+    accrued: summary.accrued,
+    postings: summary.postings.length
+  });
+  return summary;
+}
+
+// First day the daily job still has to run: the day after the last one it
+// finished. Before it has ever finished one, the day after the latest
+// accrual (data from earlier versions), else yesterday.
+async function firstPendingInterestDay(yesterday) {
+  const state = await jobStateCollection.findOne({ _id: 'dailyInterest' });
+  if (state) {
+    return new Date(parseUtcDate(state.lastCompletedDate).getTime() + DAY_MS);
+  }
+  
+  const [latest] = await interestAccrualsCollection
+    .find({}, { projection: { date: 1 } })
+    .sort({ date: -1 })
+    .limit(1)
+    .toArray();
+  
+  return latest ? new Date(parseUtcDate(latest.date).getTime() + DAY_MS) : yesterday;
+}
+
+// Called from the scheduler tick: once per UTC day, run the job for every
+// day since the last one it finished up to yesterday, oldest first, so
+// days missed while the server was down are accrued (and month ends
+// posted) in order. Progress is saved after each day.
+async function runDailyInterestIfDue() {
+  const yesterday = new Date(startOfUtcDay().getTime() - DAY_MS);
+  const dateKey = utcDateKey(yesterday);
+  
+  if (lastInterestRunDate === dateKey) {
+    return;
+  }
+  lastInterestRunDate = dateKey;
+  
+  try {
+    for (let day = await firstPendingInterestDay(yesterday); day <= yesterday; day = new Date(day.getTime() + DAY_MS)) {
+      await runInterestJob(day);
+      await jobStateCollection.updateOne(
+        { _id: 'dailyInterest' },
+        { $set: { lastCompletedDate: utcDateKey(day), updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+  } catch (error) {
+    // Try again on the next tick, from the first day that did not finish
+    lastInterestRunDate = null;
+    logger.error('Interest job error', { error });
+  }
+}
+
+// ==============================================
+// MIDDLEWARE: ADMIN AUTHENTICATION
+// ==============================================
+
+// Admin routes require an X-Admin-Key header; the staff member it
+// belongs to is attached as req.admin for attribution
+const requireAdmin = (req, res, next) => {
+  const apiKey = req.headers['x-admin-key'];
+  
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'X-Admin-Key header is missing'
+    });
+  }
+  
+  if (ADMIN_API_KEYS.size === 0) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Admin access is not configured (set ADMIN_API_KEYS)'
+    });
+  }
+  
+  const admin = ADMIN_API_KEYS.get(hashAdminKey(String(apiKey)));
+  if (!admin) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid admin key'
+    });
+  }
+  
+  req.admin = admin;
+  next();
+};
+
+// ==============================================
+// MIDDLEWARE: IDEMPOTENCY KEYS
+// ==============================================
+
+// JSON.stringify with sorted object keys, so the same body always hashes
+// the same regardless of property order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashRequestBody(body) {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+// Makes a money-moving route safe to retry. The first request with a given
+// Idempotency-Key is processed and its response stored; repeats with the same
+// body replay that response, repeats with a different body get a 422.
+// Requests without the header are processed normally.
+// Success responses are stored by the route inside its transaction (see
+// completeIdempotencyKey), so a key left 'processing' never moved money and
+// can be taken over once it is stale. Other responses are stored here.
+const idempotent = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  
+  if (key === undefined) {
+    return next();
+  }
+  
+  if (!key || key.length > 255) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Idempotency-Key must be between 1 and 255 characters'
+    });
+  }
+  
+  const route = `${req.method} ${req.path}`;
+  const requestHash = hashRequestBody(req.body);
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - IDEMPOTENCY_PROCESSING_TIMEOUT_MS);
+  
+  try {
+    // Claim the key; the unique index makes this fail if it already exists
+    try {
+      await idempotencyCollection.insertOne({
+        key,
+        route,
+        requestHash,
+        status: 'processing',
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_MS)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      
+      const existing = await idempotencyCollection.findOne({ key, route });
+      
+      // The TTL monitor only runs periodically, so an expired key may still
+      // be present. Take it over instead of replaying it, as well as a stale
+      // claim whose request never finished.
+      const isStale = (claim) => claim.expiresAt <= now || (claim.status === 'processing' && claim.createdAt <= staleBefore);
+      if (!existing || isStale(existing)) {
+        const claimed = await idempotencyCollection.updateOne(
+          {
+            key,
+            route,
+            $or: [{ expiresAt: { $lte: now } }, { status: 'processing', createdAt: { $lte: staleBefore } }]
+          },
+          {
+            $set: {
+              requestHash,
+              status: 'processing',
+              createdAt: now,
+              expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_MS)
+            },
+            $unset: { responseStatus: '', responseBody: '' }
+          }
+        );
+        if (claimed.modifiedCount === 0) {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: 'A request with this Idempotency-Key is already in progress'
+          });
+        }
+      } else if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Unprocessable Entity',
+          message: 'Idempotency-Key has already been used with a different request body'
+        });
+      } else if (existing.status !== 'completed') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'A request with this Idempotency-Key is already in progress'
+        });
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+  } catch (error) {
+    req.log.error('Error checking idempotency key', { error });
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check idempotency key'
+    });
+  }
+  
+  req.idempotency = { key, route, completedInTransaction: false };
+  
+  // Store the response once the handler sends it, unless the route already
+  // stored it in its transaction. Server errors release the key so the
+  // client can retry the same request.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 && req.idempotency.completedInTransaction) {
+      return originalJson(body);
+    }
+    
+    const update = res.statusCode >= 500
+      ? idempotencyCollection.deleteOne({ key, route })
+      : idempotencyCollection.updateOne(
+        { key, route },
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body } }
+      );
+    
+    update.catch((error) => req.log.error('Error storing idempotent response', { error }));
+    return originalJson(body);
+  };
+  
+  next();
+};
+
+// Stores a route's success response on its Idempotency-Key as part of the
+// route's transaction, so the key is completed if and only if the money
+// moved. Does nothing for requests sent without the header.
+async function completeIdempotencyKey(session, idempotency, responseBody) {
+  if (!idempotency) {
+    return;
+  }
+  
+  await idempotencyCollection.updateOne(
+    { key: idempotency.key, route: idempotency.route },
+    { $set: { status: 'completed', responseStatus: 200, responseBody } },
+    { session }
+  );
+  idempotency.completedInTransaction = true;
+}
+
+// ==============================================
+// REQUEST SCHEMAS (see shared/validation.js)
+// ==============================================
+// Shape and type checks only; anything that needs the database (account
+// exists, is active, has the funds) is checked inside the transaction.
+// Money-moving routes validate before `idempotent`, so a rejected body is
+// never stored against its Idempotency-Key.
+const accountNumberRule = {
+  type: 'string',
+  pattern: /^[A-Za-z0-9_-]{1,34}$/,
+  patternMessage: 'must be 1-34 letters, digits, dashes or underscores'
+};
+const amountRule = { type: 'number', required: true, exclusiveMin: 0 };
+const reasonRule = { type: 'string', required: true, maxLength: 500, pattern: /\S/, patternMessage: 'must not be blank' };
+const currencyRule = {
+  type: 'string',
+  check: (value) => (isValidCurrency(value.toUpperCase()) ? undefined : 'must be an ISO 4217 currency code')
+};
+const accountParams = {
+  params: {
+    accountNumber: accountNumberRule
+  }
+};
+const objectIdParams = {
+  params: {
+    id: { type: 'string', format: 'object-id' }
+  }
+};
+
+// Disputes that are not finished yet; REVERSAL_PENDING was upheld but the
+// reversal could not be completed yet
+const UNRESOLVED_DISPUTE_STATUSES = ['OPEN', 'REVERSAL_PENDING'];
+const DISPUTE_STATUSES = [...UNRESOLVED_DISPUTE_STATUSES, 'RESOLVED'];
+const DISPUTE_RESOLUTIONS = ['UPHELD', 'REJECTED'];
+
+const SCHEDULED_TRANSFER_STATUSES = ['active', 'paused', 'cancelled', 'completed'];
+
+const SCHEMAS = {
+  createAccount: {
+    body: {
+      accountNumber: { ...accountNumberRule, required: true },
+      accountHolder: { type: 'string', required: true, maxLength: 100, pattern: /\S/, patternMessage: 'must not be blank' },
+      email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+      initialBalance: { type: 'number', min: 0 },
+      currency: {
+        type: 'string',
+        check: (value) => (isValidCurrency(value) ? undefined : 'must be an ISO 4217 currency code')
+      },
+      accountType: { type: 'string', enum: Object.keys(ACCOUNT_TYPES) }
+    }
+  },
+  deposit: {
+    body: {
+      accountNumber: { ...accountNumberRule, required: true },
+      amount: amountRule
+    }
+  },
+  withdraw: {
+    body: {
+      accountNumber: { ...accountNumberRule, required: true },
+      amount: amountRule
+    }
+  },
+  transfer: {
+    body: {
+      fromAccount: { ...accountNumberRule, required: true },
+      toAccount: { ...accountNumberRule, required: true },
+      amount: amountRule,
+      description: { type: 'string', maxLength: 200 }
+    }
+  },
+  accountTransactions: {
+    ...accountParams,
+    query: {
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      type: { type: 'string', enum: TRANSACTION_TYPES },
+      entryType: { type: 'string', enum: ENTRY_TYPES },
+      limit: { type: 'integer', min: 1, max: 100 },
+      cursor: { type: 'string', format: 'object-id' }
+    }
+  },
+  statement: {
+    ...accountParams,
+    query: {
+      from: { type: 'string', required: true, format: 'date-time' },
+      to: { type: 'string', required: true, format: 'date-time' },
+      format: { type: 'string', enum: STATEMENT_FORMATS }
+    }
+  },
+  accountStatus: {
+    ...accountParams,
+    body: {
+      reason: reasonRule
+    }
+  },
+  // null removes a limit, so the fields are not required
+  accountLimits: {
+    ...accountParams,
+    body: Object.fromEntries(Object.keys(LIMIT_FIELDS).map((name) => [name, { type: 'number', min: 0 }]))
+  },
+  reverse: {
+    body: {
+      reason: reasonRule
+    }
+  },
+  openDispute: {
+    body: {
+      accountNumber: {
+        ...accountNumberRule,
+        required: true,
+        check: (value) => (value === EXTERNAL_ACCOUNT ? 'must be a customer account' : undefined)
+      },
+      reason: reasonRule
+    }
+  },
+  listDisputes: {
+    query: {
+      status: { type: 'string', enum: DISPUTE_STATUSES },
+      accountNumber: accountNumberRule
+    }
+  },
+  resolveDispute: {
+    ...objectIdParams,
+    body: {
+      resolution: { type: 'string', required: true, enum: DISPUTE_RESOLUTIONS },
+      notes: { type: 'string', maxLength: 500 }
+    }
+  },
+  runInterest: {
+    body: {
+      date: {
+        type: 'string',
+        required: true,
+        check: (value) => {
+          const day = parseUtcDate(value);
+          if (!day) return 'must be a valid YYYY-MM-DD date';
+          if (day >= startOfUtcDay()) return 'must be a day that has already ended';
+          return undefined;
+        }
+      }
+    }
+  },
+  exchangeRatePair: {
+    params: {
+      base: currencyRule,
+      quote: currencyRule
+    }
+  },
+  setExchangeRate: {
+    params: {
+      base: currencyRule,
+      quote: currencyRule
+    },
+    body: {
+      rate: { type: 'number', required: true, exclusiveMin: 0 }
+    }
+  },
+  // Whether runAt or recurrence is given is checked by parseSchedule
+  createScheduledTransfer: {
+    body: {
+      fromAccount: { ...accountNumberRule, required: true },
+      toAccount: { ...accountNumberRule, required: true },
+      amount: amountRule,
+      description: { type: 'string', maxLength: 200 },
+      runAt: { type: 'string', format: 'date-time' },
+      recurrence: {
+        type: 'string',
+        check: (value) => {
+          if (INTERVAL_RECURRENCES.includes(value)) return undefined;
+          try {
+            parseCron(value);
+            return undefined;
+          } catch (error) {
+            return `must be one of ${INTERVAL_RECURRENCES.join(', ')} or a cron expression (${error.message})`;
+          }
+        }
+      },
+      startAt: { type: 'string', format: 'date-time' },
+      endAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  listScheduledTransfers: {
+    query: {
+      accountNumber: accountNumberRule,
+      status: { type: 'string', enum: SCHEDULED_TRANSFER_STATUSES }
+    }
+  }
+};
+
+// ==============================================
+// MIDDLEWARE: REQUEST LOGGER
+// ==============================================
+// One JSON line per request with its X-Request-Id, status, duration and
+// admin identity. Set LOG_LEVEL and LOG_FILE to configure (see
+// shared/logging.js).
+const logger = createLogger({ service: 'bank-transfer-service' });
+
+app.use(requestLogger(logger));
+
+// Request counters and latency histograms for /metrics
+const metrics = createMetrics();
+app.use(metrics.middleware);
+
+// Parse JSON bodies (after the logger so bad JSON is still logged)
+app.use(express.json());
+
+// ==============================================
+// OPERATIONS: METRICS AND HEALTH CHECKS
+// ==============================================
+
+// Ready only when the initial setup has finished and MongoDB answers a ping
+const health = createHealthChecks({
+  checks: {
+    mongodb: async () => {
+      if (!databaseReady) throw new Error('Not connected to MongoDB');
+      await mongoClient.db(DB_NAME).command({ ping: 1 });
+    }
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', health.liveness);
+
+// Readiness: MongoDB is reachable
+app.get('/readyz', health.readiness);
+
+// ==============================================
+// ROUTES
+// ==============================================
+
+// Root route
+app.get('/', (req, res) => {
+  res.json({
+    message: 'Bank Account Transfer System API',
+    version: '1.0.0',
+    idempotency: 'Send an Idempotency-Key header on /transfer, /deposit and /withdraw to make retries safe',
+    endpoints: {
+      accounts: 'GET /accounts - List all accounts',
+      accountDetails: 'GET /accounts/:accountNumber - Get account details',
+      accountTransactions: 'GET /accounts/:accountNumber/transactions - Get account transaction history',
+      accountLimits: 'GET /accounts/:accountNumber/limits - Get limits and remaining daily allowance',
+      accountStatement: 'GET /accounts/:accountNumber/statement?from=&to=&format=csv|pdf - Download account statement',
+      createAccount: 'POST /accounts - Create new account',
+      transfer: 'POST /transfer - Transfer money between accounts',
+      deposit: 'POST /deposit - Deposit money to account',
+      withdraw: 'POST /withdraw - Withdraw money from account',
+      transactionDetails: 'GET /transactions/:id - Get a transaction with its reversal and disputes',
+      reverseTransaction: 'POST /transactions/:id/reverse - Reverse a transfer (admin)',
+      openDispute: 'POST /transactions/:id/disputes - Open a dispute on a transfer',
+      disputes: 'GET /admin/disputes, POST /admin/disputes/:id/resolve - Review and resolve disputes (admin)',
+      accountTypes: 'GET /account-types - List account types, interest rates and fees',
+      runInterest: 'POST /admin/interest/run - Run the interest and fee job for a date (admin)',
+      exchangeRates: 'GET /exchange-rates - List exchange rates',
+      accountLifecycle: 'POST /admin/accounts/:accountNumber/freeze|unfreeze|close|reopen - Change account status (admin)',
+      manageLimits: 'PUT /admin/accounts/:accountNumber/limits - Set overdraft and transaction limits (admin)',
+      manageExchangeRates: 'PUT|DELETE /admin/exchange-rates/:base/:quote - Manage exchange rates (admin)',
+      scheduledTransfers: 'POST /scheduled-transfers, GET /scheduled-transfers - Create and list scheduled transfers',
+      scheduledTransferActions: 'POST /scheduled-transfers/:id/pause|resume|cancel - Manage a scheduled transfer',
+      metrics: 'GET /metrics - Prometheus metrics',
+      health: 'GET /healthz - Liveness check',
+      ready: 'GET /readyz - Readiness check (pings MongoDB)'
+    }
+  });
+});
+
+// Everything below needs the database; answer 503 until it is connected
+app.use((req, res, next) => {
+  if (!databaseReady) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Database is not available yet. Please try again shortly.'
+    });
+  }
+  next();
+});
+
+// Get all accounts
+app.get('/accounts', async (req, res) => {
+  try {
+    const accounts = await accountsCollection
+      .find({})
+      .project({ _id: 0 })
+      .toArray();
+    
+    res.json({
+      message: 'Accounts retrieved successfully',
+      count: accounts.length,
+      accounts: accounts.map(formatAccount)
+    });
+  } catch (error) {
+    req.log.error('Error fetching accounts', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve accounts'
+    });
+  }
+});
+
+// Get account by account number
+app.get('/accounts/:accountNumber', validate(accountParams), async (req, res) => {
+  try {
+    const { accountNumber } = req.params;
+    
+    const account = await accountsCollection.findOne(
+      { accountNumber },
+      { projection: { _id: 0 } }
+    );
+    
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Account ${accountNumber} does not exist`
+      });
+    }
+    
+    res.json({
+      message: 'Account details retrieved successfully',
+      account: formatAccount(account)
+    });
+  } catch (error) {
+    req.log.error('Error fetching account', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve account details'
+    });
+  }
+});
+
+// Get account transaction history
+// Query: from, to (ISO dates; a date-only `to` covers that whole day, as
+// for statements), type, entryType, limit, cursor
+app.get('/accounts/:accountNumber/transactions', validate(SCHEMAS.accountTransactions), async (req, res) => {
+  try {
+    const { accountNumber } = req.params;
+    const { from, to, type, entryType, cursor, limit = 20 } = req.query;
+    
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? statementPeriodEnd(to) : null;
+    
+    const account = await accountsCollection.findOne({ accountNumber });
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Account ${accountNumber} does not exist`
+      });
+    }
+    
+    // Build ledger query
+    const query = { accountNumber };
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lt = toDate;
+    }
+    if (type) query.type = type;
+    if (entryType) query.entryType = entryType;
+    if (cursor) query._id = { $lt: new ObjectId(cursor) };
+    
+    // Fetch one extra entry to know whether another page exists
+    const entries = await transactionsCollection
+      .find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .toArray();
+    
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+    
+    res.json({
+      message: 'Transactions retrieved successfully',
+      accountNumber: accountNumber,
+      count: page.length,
+      transactions: page.map(formatLedgerEntry),
+      nextCursor: hasMore ? page[page.length - 1]._id.toString() : null
+    });
+  } catch (error) {
+    req.log.error('Error fetching transactions', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve transactions'
+    });
+  }
+});
+
+// Download account statement
+// Query: from, to (ISO dates, `to` inclusive when date-only), format (csv | pdf)
+app.get('/accounts/:accountNumber/statement', validate(SCHEMAS.statement), async (req, res) => {
+  try {
+    const { accountNumber } = req.params;
+    const { from, to, format = 'csv' } = req.query;
+    
+    const periodStart = new Date(from);
+    const periodEnd = statementPeriodEnd(to);
+    
+    if (periodStart >= periodEnd) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Request validation failed',
+        details: [{ path: 'query.from', message: 'must be before to' }]
+      });
+    }
+    
+    const account = await accountsCollection.findOne({ accountNumber });
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Account ${accountNumber} does not exist`
+      });
+    }
+    
+    const statement = await buildStatement(account, periodStart, periodEnd);
+    const filename = `statement-${accountNumber}-${from.slice(0, 10)}-${to.slice(0, 10)}.${format}`;
+    
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    if (format === 'pdf') {
+      res.type('application/pdf');
+      return renderStatementPdf(statement, res);
+    }
+    
+    res.type('text/csv').send(renderStatementCsv(statement));
+  } catch (error) {
+    req.log.error('Error generating statement', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate statement'
+    });
+  }
+});
+
+// Get account limits and today's usage
+app.get('/accounts/:accountNumber/limits', validate(accountParams), async (req, res) => {
+  try {
+    const { accountNumber } = req.params;
+    
+    const account = await accountsCollection.findOne({ accountNumber });
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Account ${accountNumber} does not exist`
+      });
+    }
+    
+    const { currency } = account;
+    const limits = account.limits || {};
+    const usedMinor = await outgoingTodayMinor(accountNumber);
+    const remainingMinor = limits.dailyOutgoingMinor != null
+      ? Math.max(limits.dailyOutgoingMinor - usedMinor, 0)
+      : null;
+    const dayStart = startOfUtcDay();
+    
+    res.json({
+      message: 'Account limits retrieved successfully',
+      accountNumber: accountNumber,
+      currency: currency,
+      limits: formatLimits(limits, currency),
+      usage: {
+        periodStart: dayStart.toISOString(),
+        periodEnd: new Date(dayStart.getTime() + DAY_MS).toISOString(),
+        outgoingToday: toMajorUnits(usedMinor, currency),
+        remainingToday: remainingMinor === null ? null : toMajorUnits(remainingMinor, currency)
+      },
+      balance: toMajorUnits(account.balanceMinor, currency),
+      availableToSpend: toMajorUnits(account.balanceMinor + (limits.overdraftMinor || 0), currency)
+    });
+  } catch (error) {
+    req.log.error('Error fetching account limits', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve account limits'
+    });
+  }
+});
+
+// Create new account
+app.post('/accounts', validate(SCHEMAS.createAccount), async (req, res) => {
+  try {
+    const { accountNumber, accountHolder, email, initialBalance, currency = 'USD', accountType = DEFAULT_ACCOUNT_TYPE } = req.body;
+    
+    // Check if account already exists
+    const existingAccount = await accountsCollection.findOne({ accountNumber });
+    if (existingAccount) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Account ${accountNumber} already exists`
+      });
+    }
+    
+    const newAccount = {
+      accountNumber,
+      accountHolder,
+      email,
+      balanceMinor: toMinorUnits(initialBalance || 0, currency),
+      currency,
+      accountType,
+      status: 'active',
+      statusHistory: [],
+      createdAt: new Date()
+    };
+    
+    await accountsCollection.insertOne(newAccount);
+    
+    res.status(201).json({
+      message: 'Account created successfully',
+      account: {
+        accountNumber: newAccount.accountNumber,
+        accountHolder: newAccount.accountHolder,
+        balance: toMajorUnits(newAccount.balanceMinor, currency),
+        currency: newAccount.currency,
+        accountType: newAccount.accountType
+      }
+    });
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error creating account', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create account'
+    });
+  }
+});
+
+// Deposit money
+app.post('/deposit', validate(SCHEMAS.deposit), idempotent, async (req, res) => {
+  try {
+    const { accountNumber, amount } = req.body;
+    
+    const response = await runInTransaction(async (session) => {
+      // Check if account exists
+      const account = await accountsCollection.findOne(
+        { accountNumber },
+        { session }
+      );
+      if (!account) {
+        throw new BankingError(404, 'Not Found', `Account ${accountNumber} does not exist`);
+      }
+      
+      if (account.status !== 'active') {
+        throw new BankingError(400, 'Account Inactive', `Account ${accountNumber} is not active`);
+      }
+      
+      // Amounts are given in the account currency
+      const { currency } = account;
+      const amountMinor = toMinorUnits(amount, currency);
+      
+      // Update balance (status re-checked in case it changed concurrently)
+      const creditResult = await accountsCollection.updateOne(
+        { accountNumber, status: 'active' },
+        {
+          $inc: { balanceMinor: amountMinor },
+          $set: { lastTransaction: new Date() }
+        },
+        { session }
+      );
+      
+      if (creditResult.matchedCount === 0) {
+        throw new BankingError(400, 'Account Inactive', `Account ${accountNumber} is not active`);
+      }
+      
+      // Get updated account
+      const updatedAccount = await accountsCollection.findOne(
+        { accountNumber },
+        { session }
+      );
+      
+      // Record ledger entries
+      const transactionId = new ObjectId().toString();
+      const timestamp = new Date();
+      await recordLedgerEntries(session, {
+        transactionId,
+        type: 'DEPOSIT',
+        description: 'Cash deposit',
+        debit: { accountNumber: EXTERNAL_ACCOUNT, currency, amountMinor },
+        credit: {
+          accountNumber,
+          currency,
+          amountMinor,
+          balanceBeforeMinor: account.balanceMinor,
+          balanceAfterMinor: updatedAccount.balanceMinor
+        },
+        createdAt: timestamp
+      });
+      
+      const depositResponse = {
+        message: 'Deposit successful',
+        transaction: {
+          transactionId: transactionId,
+          type: 'DEPOSIT',
+          accountNumber: accountNumber,
+          amount: amount,
+          currency: currency,
+          previousBalance: toMajorUnits(account.balanceMinor, currency),
+          newBalance: toMajorUnits(updatedAccount.balanceMinor, currency),
+          timestamp: timestamp.toISOString()
+        }
+      };
+      await completeIdempotencyKey(session, req.idempotency, depositResponse);
+      return depositResponse;
+    });
+    
+    res.json(response);
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error processing deposit', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process deposit'
+    });
+  }
+});
+
+// Withdraw money
+app.post('/withdraw', validate(SCHEMAS.withdraw), idempotent, async (req, res) => {
+  try {
+    const { accountNumber, amount } = req.body;
+    
+    const response = await runInTransaction(async (session) => {
+      // Check if account exists and get current balance
+      const account = await accountsCollection.findOne(
+        { accountNumber },
+        { session }
+      );
+      if (!account) {
+        throw new BankingError(404, 'Not Found', `Account ${accountNumber} does not exist`);
+      }
+      
+      if (account.status !== 'active') {
+        throw new BankingError(400, 'Account Inactive', `Account ${accountNumber} is not active`);
+      }
+      
+      // Amounts are given in the account currency
+      const { currency } = account;
+      const amountMinor = toMinorUnits(amount, currency);
+      
+      // Per-transaction, daily outgoing and overdraft limits
+      const minBalanceMinor = await checkOutgoingLimits(account, amountMinor, session);
+      
+      // Conditional debit: only matches while the balance (plus any overdraft)
+      // still covers the amount, so concurrent withdrawals cannot overdraw it
+      const debitResult = await accountsCollection.updateOne(
+        { accountNumber, status: 'active', balanceMinor: { $gte: minBalanceMinor } },
+        {
+          $inc: { balanceMinor: -amountMinor },
+          $set: { lastTransaction: new Date() }
+        },
+        { session }
+      );
+      
+      if (debitResult.matchedCount === 0) {
+        throw insufficientFundsError(account, amountMinor);
+      }
+      
+      // Get updated account
+      const updatedAccount = await accountsCollection.findOne(
+        { accountNumber },
+        { session }
+      );
+      
+      // Record ledger entries
+      const transactionId = new ObjectId().toString();
+      const timestamp = new Date();
+      await recordLedgerEntries(session, {
+        transactionId,
+        type: 'WITHDRAWAL',
+        description: 'Cash withdrawal',
+        debit: {
+          accountNumber,
+          currency,
+          amountMinor,
+          balanceBeforeMinor: account.balanceMinor,
+          balanceAfterMinor: updatedAccount.balanceMinor
+        },
+        credit: { accountNumber: EXTERNAL_ACCOUNT, currency, amountMinor },
+        createdAt: timestamp
+      });
+      
+      const withdrawalResponse = {
+        message: 'Withdrawal successful',
+        transaction: {
+          transactionId: transactionId,
+          type: 'WITHDRAWAL',
+          accountNumber: accountNumber,
+          amount: amount,
+          currency: currency,
+          previousBalance: toMajorUnits(account.balanceMinor, currency),
+          newBalance: toMajorUnits(updatedAccount.balanceMinor, currency),
+          timestamp: timestamp.toISOString()
+        }
+      };
+      await completeIdempotencyKey(session, req.idempotency, withdrawalResponse);
+      return withdrawalResponse;
+    });
+    
+    res.json(response);
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error processing withdrawal', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process withdrawal'
+    });
+  }
+});
+
+// ==============================================
+// TRANSFER EXECUTION
+// ==============================================
+
+// Validates and executes a transfer in one transaction. Shared by
+// POST /transfer and the scheduled transfer executor; every rejection
+// is thrown as a BankingError.
+function validateTransferInput({ fromAccount, toAccount, amount }) {
+  if (!fromAccount || !toAccount || !amount) {
+    throw new BankingError(400, 'Bad Request', 'fromAccount, toAccount, and amount are required');
+  }
+  
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw new BankingError(400, 'Bad Request', 'Amount must be a positive number');
+  }
+  
+  if (fromAccount === toAccount) {
+    throw new BankingError(400, 'Bad Request', 'Cannot transfer to the same account');
+  }
+}
+
+// Body of a successful POST /transfer response
+const transferResponse = (transaction) => ({
+  message: 'Transfer completed successfully',
+  transaction: transaction
+});
+
+// Moves the money in one transaction. `beforeCommit(session, result)`, if
+// given, runs last inside that transaction, so whatever it writes (an
+// idempotent response, a scheduled run's outcome) commits with the money.
+async function performTransfer({ fromAccount, toAccount, amount, description }, beforeCommit = null) {
+  // === STEP 1: Input Validation ===
+  validateTransferInput({ fromAccount, toAccount, amount });
+  
+  console.log(`\n💰 Transfer Request: ${fromAccount} → ${toAccount} | Amount: ${amount}`);
+  
+  const transaction = await runInTransaction(async (session) => {
+    // === STEP 2: Verify Sender Account Exists ===
+    const senderAccount = await accountsCollection.findOne(
+      { accountNumber: fromAccount },
+      { session }
+    );
+    
+    if (!senderAccount) {
+      console.log(`❌ Sender account ${fromAccount} not found`);
+      throw new BankingError(404, 'Not Found', `Sender account ${fromAccount} does not exist`);
+    }
+    
+    // === STEP 3: Verify Receiver Account Exists ===
+    const receiverAccount = await accountsCollection.findOne(
+      { accountNumber: toAccount },
+      { session }
+    );
+    
+    if (!receiverAccount) {
+      console.log(`❌ Receiver account ${toAccount} not found`);
+      throw new BankingError(404, 'Not Found', `Receiver account ${toAccount} does not exist`);
+    }
+    
+    // === STEP 4: Check Account Status ===
+    if (senderAccount.status !== 'active') {
+      throw new BankingError(400, 'Account Inactive', `Sender account ${fromAccount} is not active`);
+    }
+    
+    if (receiverAccount.status !== 'active') {
+      throw new BankingError(400, 'Account Inactive', `Receiver account ${toAccount} is not active`);
+    }
+    
+    // === STEP 5: Convert Currency ===
+    // The amount is in the sender's currency; the receiver is credited in
+    // theirs at the current rate, which is recorded on the ledger entries
+    const fromCurrency = senderAccount.currency;
+    const toCurrency = receiverAccount.currency;
+    const amountMinor = toMinorUnits(amount, fromCurrency);
+    const exchangeRate = await getExchangeRate(fromCurrency, toCurrency, session);
+    const creditMinor = convertMinorUnits(amountMinor, exchangeRate, fromCurrency, toCurrency);
+    
+    if (creditMinor <= 0) {
+      throw new BankingError(400, 'Bad Request', `Amount is too small to convert from ${fromCurrency} to ${toCurrency}`);
+    }
+    
+    // === STEP 6: Validate Balance And Limits ===
+    console.log(`📊 Sender balance: ${formatMinorUnits(senderAccount.balanceMinor, fromCurrency)} ${fromCurrency} | Required: ${amount} ${fromCurrency}`);
+    
+    let minBalanceMinor;
+    try {
+      minBalanceMinor = await checkOutgoingLimits(senderAccount, amountMinor, session);
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      throw error;
+    }
+    
+    // === STEP 7: Perform Transfer (Single Transaction) ===
+    console.log(`✅ Validation passed. Proceeding with transfer...`);
+    
+    // Conditional debit: the balance check is repeated in the filter so a
+    // concurrent transfer that already spent the funds makes this match nothing
+    const deductResult = await accountsCollection.updateOne(
+      { accountNumber: fromAccount, status: 'active', balanceMinor: { $gte: minBalanceMinor } },
+      {
+        $inc: { balanceMinor: -amountMinor },
+        $set: { lastTransaction: new Date() }
+      },
+      { session }
+    );
+    
+    if (deductResult.matchedCount === 0) {
+      console.log(`❌ Insufficient funds (balance changed concurrently)`);
+      throw insufficientFundsError(senderAccount, amountMinor);
+    }
+    
+    console.log(`✅ Deducted ${amount} ${fromCurrency} from ${fromAccount}`);
+    
+    const creditResult = await accountsCollection.updateOne(
+      { accountNumber: toAccount, status: 'active' },
+      {
+        $inc: { balanceMinor: creditMinor },
+        $set: { lastTransaction: new Date() }
+      },
+      { session }
+    );
+    
+    // Throwing aborts the transaction, so the debit above is never committed
+    if (creditResult.matchedCount === 0) {
+      console.log(`⚠️ Failed to credit receiver. Aborting transaction...`);
+      throw new BankingError(500, 'Transaction Failed', 'Failed to credit receiver account. Transaction rolled back.');
+    }
+    
+    console.log(`✅ Credited ${formatMinorUnits(creditMinor, toCurrency)} ${toCurrency} to ${toAccount}`);
+    
+    // === STEP 8: Get Updated Balances ===
+    const updatedSender = await accountsCollection.findOne(
+      { accountNumber: fromAccount },
+      { session }
+    );
+    const updatedReceiver = await accountsCollection.findOne(
+      { accountNumber: toAccount },
+      { session }
+    );
+    
+    // === STEP 9: Record Ledger Entries ===
+    const transactionId = new ObjectId().toString();
+    const timestamp = new Date();
+    await recordLedgerEntries(session, {
+      transactionId,
+      type: 'TRANSFER',
+      description: description || 'Money transfer',
+      debit: {
+        accountNumber: fromAccount,
+        currency: fromCurrency,
+        amountMinor,
+        balanceBeforeMinor: senderAccount.balanceMinor,
+        balanceAfterMinor: updatedSender.balanceMinor
+      },
+      credit: {
+        accountNumber: toAccount,
+        currency: toCurrency,
+        amountMinor: creditMinor,
+        balanceBeforeMinor: receiverAccount.balanceMinor,
+        balanceAfterMinor: updatedReceiver.balanceMinor
+      },
+      exchangeRate: fromCurrency === toCurrency ? null : exchangeRate,
+      createdAt: timestamp
+    });
+    
+    const result = {
+      transactionId: transactionId,
+      type: 'TRANSFER',
+      fromAccount: fromAccount,
+      toAccount: toAccount,
+      amount: amount,
+      currency: fromCurrency,
+      description: description || 'Money transfer',
+      exchange: fromCurrency === toCurrency ? null : {
+        fromCurrency,
+        toCurrency,
+        rate: exchangeRate,
+        convertedAmount: toMajorUnits(creditMinor, toCurrency)
+      },
+      sender: {
+        accountNumber: fromAccount,
+        accountHolder: senderAccount.accountHolder,
+        currency: fromCurrency,
+        balanceBefore: toMajorUnits(senderAccount.balanceMinor, fromCurrency),
+        balanceAfter: toMajorUnits(updatedSender.balanceMinor, fromCurrency)
+      },
+      receiver: {
+        accountNumber: toAccount,
+        accountHolder: receiverAccount.accountHolder,
+        currency: toCurrency,
+        balanceBefore: toMajorUnits(receiverAccount.balanceMinor, toCurrency),
+        balanceAfter: toMajorUnits(updatedReceiver.balanceMinor, toCurrency)
+      },
+      status: 'SUCCESS',
+      timestamp: timestamp.toISOString()
+    };
+    
+    if (beforeCommit) {
+      await beforeCommit(session, result);
+    }
+    return result;
+  });
+  
+  console.log(`✅ Transfer completed successfully\n`);
+  
+  return transaction;
+}
+
+// ==============================================
+// MAIN TRANSFER ENDPOINT WITH BALANCE VALIDATION
+// ==============================================
+app.post('/transfer', validate(SCHEMAS.transfer), idempotent, async (req, res) => {
+  try {
+    const transaction = await performTransfer(req.body, (session, result) => (
+      completeIdempotencyKey(session, req.idempotency, transferResponse(result))
+    ));
+    
+    // Return success response
+    res.json(transferResponse(transaction));
+    
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error processing transfer', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process transfer',
+      details: error.message
+    });
+  }
+});
+
+// ==============================================
+// ACCOUNT LIFECYCLE (ADMIN)
+// ==============================================
+
+// Allowed status transitions. Frozen accounts keep their money but cannot
+// move it; closed accounts must be empty and stay empty until reopened.
+const ACCOUNT_ACTIONS = {
+  freeze: { allowedFrom: ['active'], status: 'frozen', message: 'frozen' },
+  unfreeze: { allowedFrom: ['frozen'], status: 'active', message: 'unfrozen' },
+  close: { allowedFrom: ['active', 'frozen'], status: 'closed', message: 'closed' },
+  reopen: { allowedFrom: ['closed'], status: 'active', message: 'reopened' }
+};
+
+app.post('/admin/accounts/:accountNumber/:action(freeze|unfreeze|close|reopen)', requireAdmin, validate(SCHEMAS.accountStatus), async (req, res) => {
+  try {
+    const { accountNumber, action: actionName } = req.params;
+    const { reason } = req.body;
+    const action = ACCOUNT_ACTIONS[actionName];
+    
+    const account = await accountsCollection.findOne({ accountNumber });
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Account ${accountNumber} does not exist`
+      });
+    }
+    
+    if (!action.allowedFrom.includes(account.status)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Cannot ${actionName} account ${accountNumber} while it is ${account.status}`
+      });
+    }
+    
+    if (actionName === 'close' && account.balanceMinor !== 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Account ${accountNumber} must have a zero balance before it can be closed`,
+        balance: toMajorUnits(account.balanceMinor, account.currency)
+      });
+    }
+    
+    const change = {
+      from: account.status,
+      to: action.status,
+      reason: reason.trim(),
+      changedBy: req.admin,
+      changedAt: new Date()
+    };
+    
+    // Filter on the status (and balance) just checked, so a concurrent
+    // transfer or status change cannot slip in between check and update
+    const filter = { accountNumber, status: account.status };
+    if (actionName === 'close') {
+      filter.balanceMinor = 0;
+    }
+    
+    const result = await accountsCollection.updateOne(filter, {
+      $set: { status: action.status },
+      $push: { statusHistory: change }
+    });
+    
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Account ${accountNumber} was modified concurrently, please retry`
+      });
+    }
+    
+    req.log.info('Account status changed', {
+      admin: req.admin,
+      accountNumber,
+      from: change.from,
+      to: change.to,
+      reason: change.reason
+    });
+    
+    res.json({
+      message: `Account ${action.message} successfully`,
+      accountNumber: accountNumber,
+      status: action.status,
+      change: change
+    });
+  } catch (error) {
+    req.log.error('Error changing account status', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to change account status'
+    });
+  }
+});
+
+// Set or clear account limits. Body fields are overdraftLimit,
+// dailyOutgoingLimit and perTransactionLimit in the account currency;
+// null removes a limit and omitted fields are left unchanged.
+app.put('/admin/accounts/:accountNumber/limits', requireAdmin, validate(SCHEMAS.accountLimits), async (req, res) => {
+  try {
+    const { accountNumber } = req.params;
+    
+    const account = await accountsCollection.findOne({ accountNumber });
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Account ${accountNumber} does not exist`
+      });
+    }
+    
+    const update = {};
+    for (const [name, field] of Object.entries(LIMIT_FIELDS)) {
+      const value = req.body[name];
+      if (value === undefined) continue;
+      
+      update[`limits.${field}`] = value === null ? null : toMinorUnits(value, account.currency);
+    }
+    
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Request validation failed',
+        details: [{ path: 'body', message: `must contain at least one of ${Object.keys(LIMIT_FIELDS).join(', ')}` }]
+      });
+    }
+    
+    update.limitsUpdatedAt = new Date();
+    update.limitsUpdatedBy = req.admin;
+    
+    await accountsCollection.updateOne({ accountNumber }, { $set: update });
+    const updatedAccount = await accountsCollection.findOne({ accountNumber });
+    
+    const limits = formatLimits(updatedAccount.limits, updatedAccount.currency);
+    req.log.info('Account limits updated', { admin: req.admin, accountNumber, limits });
+    
+    res.json({
+      message: 'Account limits updated successfully',
+      accountNumber: accountNumber,
+      limits: limits
+    });
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error updating account limits', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update account limits'
+    });
+  }
+});
+
+// ==============================================
+// TRANSACTIONS: REVERSALS AND DISPUTES
+// ==============================================
+
+// Get both ledger entries of a transaction with its reversal and disputes
+app.get('/transactions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const entries = await transactionsCollection.find({ transactionId: id }).toArray();
+    if (entries.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Transaction ${id} does not exist`
+      });
+    }
+    
+    const reversal = await reversalsCollection.findOne({ originalTransactionId: id });
+    const disputes = await disputesCollection.find({ transactionId: id }).sort({ openedAt: -1 }).toArray();
+    
+    res.json({
+      message: 'Transaction retrieved successfully',
+      transactionId: id,
+      entries: entries.map(formatLedgerEntry),
+      reversal: reversal ? formatDocument(reversal) : null,
+      disputes: disputes.map(formatDocument)
+    });
+  } catch (error) {
+    req.log.error('Error fetching transaction', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve transaction'
+    });
+  }
+});
+
+// Reverse a transfer (staff only). Responds 202 when the receiver cannot
+// cover the reversal yet; posting again retries the pending reversal.
+app.post('/transactions/:id/reverse', requireAdmin, validate(SCHEMAS.reverse), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const reversal = await reverseTransfer(req.params.id, {
+      reason: reason.trim(),
+      requestedBy: req.admin,
+      log: req.log
+    });
+    
+    if (reversal.status === 'PENDING') {
+      return res.status(202).json({
+        message: 'Reversal is pending',
+        reversal: formatDocument(reversal)
+      });
+    }
+    
+    res.json({
+      message: 'Transaction reversed successfully',
+      reversal: formatDocument(reversal)
+    });
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error reversing transaction', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reverse transaction'
+    });
+  }
+});
+
+// Open a dispute on a transaction (customer). Only transfers can be
+// disputed, since only they can be reversed, and accountNumber must be one
+// of the two accounts the transfer touched.
+app.post('/transactions/:id/disputes', validate(SCHEMAS.openDispute), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { accountNumber, reason } = req.body;
+    
+    const entry = await transactionsCollection.findOne({ transactionId: id, accountNumber });
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Transaction ${id} does not exist for account ${accountNumber}`
+      });
+    }
+    
+    if (entry.type !== 'TRANSFER') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Only transfers can be disputed; ${id} is a ${entry.type}`
+      });
+    }
+    
+    const reversal = await reversalsCollection.findOne({ originalTransactionId: id, status: 'COMPLETED' });
+    if (reversal) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Transaction ${id} has already been reversed`,
+        reversalTransactionId: reversal.reversalTransactionId
+      });
+    }
+    
+    const openDispute = await disputesCollection.findOne({ transactionId: id, unresolved: true });
+    if (openDispute) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Transaction ${id} already has an open dispute`,
+        disputeId: openDispute._id.toString()
+      });
+    }
+    
+    const dispute = {
+      transactionId: id,
+      accountNumber,
+      reason: reason.trim(),
+      status: 'OPEN',
+      unresolved: true,
+      openedAt: new Date()
+    };
+    
+    // The partial unique index rejects a second unresolved dispute opened
+    // concurrently with this one
+    let result;
+    try {
+      result = await disputesCollection.insertOne(dispute);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const existing = await disputesCollection.findOne({ transactionId: id, unresolved: true });
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Transaction ${id} already has an open dispute`,
+        disputeId: existing ? existing._id.toString() : null
+      });
+    }
+    
+    res.status(201).json({
+      message: 'Dispute opened successfully',
+      dispute: formatDocument({ _id: result.insertedId, ...dispute })
+    });
+  } catch (error) {
+    req.log.error('Error opening dispute', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to open dispute'
+    });
+  }
+});
+
+// List disputes (staff only)
+// Query: status (OPEN | REVERSAL_PENDING | RESOLVED), accountNumber
+app.get('/admin/disputes', requireAdmin, validate(SCHEMAS.listDisputes), async (req, res) => {
+  try {
+    const { status, accountNumber } = req.query;
+    
+    const query = {};
+    if (status) query.status = status;
+    if (accountNumber) query.accountNumber = accountNumber;
+    
+    const disputes = await disputesCollection.find(query).sort({ openedAt: -1 }).toArray();
+    
+    res.json({
+      message: 'Disputes retrieved successfully',
+      count: disputes.length,
+      disputes: disputes.map(formatDocument)
+    });
+  } catch (error) {
+    req.log.error('Error fetching disputes', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve disputes'
+    });
+  }
+});
+
+// Resolve a dispute (staff only). UPHELD reverses the disputed transfer;
+// REJECTED closes the dispute without moving money. If the reversal is
+// still pending the dispute stays REVERSAL_PENDING (202) and is RESOLVED
+// by posting UPHELD again once the reversal completes.
+
+app.post('/admin/disputes/:id/resolve', requireAdmin, validate(SCHEMAS.resolveDispute), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { resolution, notes } = req.body;
+    
+    const dispute = await disputesCollection.findOne({ _id: new ObjectId(id) });
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Dispute ${id} does not exist`
+      });
+    }
+    
+    if (!UNRESOLVED_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Dispute ${id} is already resolved`
+      });
+    }
+    
+    if (dispute.status === 'REVERSAL_PENDING' && resolution !== 'UPHELD') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Dispute ${id} was upheld and its reversal is pending; post UPHELD again to retry it`
+      });
+    }
+    
+    // Reverse first so a failed reversal leaves the dispute open. A
+    // reversal completed meanwhile (e.g. retried through /reverse) counts.
+    let reversal = null;
+    if (resolution === 'UPHELD') {
+      reversal = await reversalsCollection.findOne({ originalTransactionId: dispute.transactionId, status: 'COMPLETED' })
+        || await reverseTransfer(dispute.transactionId, {
+          reason: `Dispute ${id} upheld${notes ? `: ${notes}` : ''}`,
+          requestedBy: req.admin,
+          log: req.log
+        });
+    }
+    
+    const reversalPending = reversal !== null && reversal.status === 'PENDING';
+    const update = {
+      status: reversalPending ? 'REVERSAL_PENDING' : 'RESOLVED',
+      unresolved: reversalPending,
+      resolution,
+      notes: notes || dispute.notes || null,
+      resolvedBy: req.admin,
+      resolvedAt: reversalPending ? null : new Date(),
+      reversalId: reversal ? reversal._id.toString() : null
+    };
+    
+    await disputesCollection.updateOne({ _id: dispute._id, status: dispute.status }, { $set: update });
+    
+    if (reversalPending) {
+      return res.status(202).json({
+        message: 'Dispute upheld; the reversal is pending',
+        dispute: formatDocument({ ...dispute, ...update }),
+        reversal: formatDocument(reversal)
+      });
+    }
+    
+    res.json({
+      message: 'Dispute resolved successfully',
+      dispute: formatDocument({ ...dispute, ...update }),
+      reversal: reversal ? formatDocument(reversal) : null
+    });
+  } catch (error) {
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error resolving dispute', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to resolve dispute'
+    });
+  }
+});
+
+// ==============================================
+// INTEREST AND FEES
+// ==============================================
+
+// List account types with their rates, minimum balances and fees
+app.get('/account-types', (req, res) => {
+  res.json({
+    message: 'Account types retrieved successfully',
+    accountTypes: Object.entries(ACCOUNT_TYPES).map(([code, type]) => ({ code, ...type }))
   });
 });
 
-// Get all accounts
-app.get('/accounts', async (req, res) => {
+// Run the interest job for one UTC date (admin). Body: { "date": "YYYY-MM-DD" }.
+// Running the last day of a month also posts that month's interest and fees;
+// accounts whose month is already posted are skipped (summary.alreadyPosted).
+app.post('/admin/interest/run', requireAdmin, validate(SCHEMAS.runInterest), async (req, res) => {
   try {
-    const accounts = await accountsCollection
-      .find({})
-      .project({ _id: 0 })
-      .toArray();
+    const day = parseUtcDate(req.body.date);
+    
+    const summary = await runInterestJob(day, req.log);
     
     res.json({
-      message: 'Accounts retrieved successfully',
-      count: accounts.length,
-      accounts: accounts
+      message: 'Interest job completed successfully',
+      summary: summary
     });
   } catch (error) {
-    console.error('Error fetching accounts:', error);
+    req.log.error('Error running interest job', { error });
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to retrieve accounts'
+      message: 'Failed to run interest job'
     });
   }
 });
 
-// Get account by account number
-app.get('/accounts/:accountNumber', async (req, res) => {
+// ==============================================
+// EXCHANGE RATES
+// ==============================================
+
+// List current exchange rates
+app.get('/exchange-rates', async (req, res) => {
   try {
-    const { accountNumber } = req.params;
-    
-    const account = await accountsCollection.findOne(
-      { accountNumber },
-      { projection: { _id: 0 } }
-    );
-    
-    if (!account) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: `Account ${accountNumber} does not exist`
-      });
-    }
+    const rates = await exchangeRatesCollection
+      .find({})
+      .project({ _id: 0 })
+      .sort({ base: 1, quote: 1 })
+      .toArray();
     
     res.json({
-      message: 'Account details retrieved successfully',
-      account: account
+      message: 'Exchange rates retrieved successfully',
+      count: rates.length,
+      rates: rates
     });
   } catch (error) {
-    console.error('Error fetching account:', error);
+    req.log.error('Error fetching exchange rates', { error });
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to retrieve account details'
+      message: 'Failed to retrieve exchange rates'
     });
   }
 });
 
-// Create new account
-app.post('/accounts', async (req, res) => {
+// Create or update the rate for one unit of :base in :quote
+app.put('/admin/exchange-rates/:base/:quote', requireAdmin, validate(SCHEMAS.setExchangeRate), async (req, res) => {
   try {
-    const { accountNumber, accountHolder, email, initialBalance } = req.body;
+    const base = req.params.base.toUpperCase();
+    const quote = req.params.quote.toUpperCase();
+    const { rate } = req.body;
     
-    // Validate required fields
-    if (!accountNumber || !accountHolder || !email) {
+    if (base === quote) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'accountNumber, accountHolder, and email are required'
+        message: 'Request validation failed',
+        details: [{ path: 'params.quote', message: 'must be a different currency from base' }]
       });
     }
     
-    // Check if account already exists
-    const existingAccount = await accountsCollection.findOne({ accountNumber });
-    if (existingAccount) {
-      return res.status(409).json({
-        error: 'Conflict',
-        message: `Account ${accountNumber} already exists`
-      });
-    }
+    // Only one direction of a pair is stored; the other is derived from it
+    await exchangeRatesCollection.deleteOne({ base: quote, quote: base });
     
-    const newAccount = {
-      accountNumber,
-      accountHolder,
-      email,
-      balance: initialBalance || 0,
-      currency: 'USD',
-      status: 'active',
-      createdAt: new Date()
-    };
+    const exchangeRate = { base, quote, rate, updatedAt: new Date(), updatedBy: req.admin };
+    await exchangeRatesCollection.updateOne(
+      { base, quote },
+      { $set: exchangeRate },
+      { upsert: true }
+    );
     
-    await accountsCollection.insertOne(newAccount);
+    req.log.info('Exchange rate set', { admin: req.admin, base, quote, rate });
     
-    res.status(201).json({
-      message: 'Account created successfully',
-      account: {
-        accountNumber: newAccount.accountNumber,
-        accountHolder: newAccount.accountHolder,
-        balance: newAccount.balance
-      }
+    res.json({
+      message: 'Exchange rate saved successfully',
+      rate: exchangeRate
     });
   } catch (error) {
-    console.error('Error creating account:', error);
+    req.log.error('Error saving exchange rate', { error });
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to create account'
+      message: 'Failed to save exchange rate'
     });
   }
 });
 
-// Deposit money
-app.post('/deposit', async (req, res) => {
+// Remove an exchange rate
+app.delete('/admin/exchange-rates/:base/:quote', requireAdmin, validate(SCHEMAS.exchangeRatePair), async (req, res) => {
   try {
-    const { accountNumber, amount } = req.body;
-    
-    // Validate input
-    if (!accountNumber || !amount) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'accountNumber and amount are required'
-      });
-    }
+    const base = req.params.base.toUpperCase();
+    const quote = req.params.quote.toUpperCase();
     
-    if (typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Amount must be a positive number'
-      });
-    }
+    const result = await exchangeRatesCollection.deleteOne({ base, quote });
     
-    // Check if account exists
-    const account = await accountsCollection.findOne({ accountNumber });
-    if (!account) {
+    if (result.deletedCount === 0) {
       return res.status(404).json({
         error: 'Not Found',
-        message: `Account ${accountNumber} does not exist`
+        message: `No exchange rate for ${base}/${quote}`
       });
     }
     
-    // Update balance
-    const result = await accountsCollection.updateOne(
-      { accountNumber },
-      { $inc: { balance: amount } }
-    );
-    
-    // Get updated account
-    const updatedAccount = await accountsCollection.findOne({ accountNumber });
+    req.log.info('Exchange rate removed', { admin: req.admin, base, quote });
     
     res.json({
-      message: 'Deposit successful',
-      transaction: {
-        type: 'DEPOSIT',
-        accountNumber: accountNumber,
-        amount: amount,
-        previousBalance: account.balance,
-        newBalance: updatedAccount.balance,
-        timestamp: new Date().toISOString()
-      }
+      message: 'Exchange rate removed successfully'
     });
   } catch (error) {
-    console.error('Error processing deposit:', error);
+    req.log.error('Error removing exchange rate', { error });
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to process deposit'
+      message: 'Failed to remove exchange rate'
     });
   }
 });
 
-// Withdraw money
-app.post('/withdraw', async (req, res) => {
+// ==============================================
+// SCHEDULED TRANSFERS
+// ==============================================
+
+// Load a scheduled transfer from :id (checked by objectIdParams) or send
+// the 404
+async function findScheduledTransfer(req, res) {
+  const { id } = req.params;
+  
+  const scheduled = await scheduledTransfersCollection.findOne({ _id: new ObjectId(id) });
+  if (!scheduled) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `Scheduled transfer ${id} does not exist`
+    });
+    return null;
+  }
+  
+  return scheduled;
+}
+
+// Create a scheduled or recurring transfer
+app.post('/scheduled-transfers', validate(SCHEMAS.createScheduledTransfer), async (req, res) => {
   try {
-    const { accountNumber, amount } = req.body;
+    const { fromAccount, toAccount, amount, description, endAt } = req.body;
     
-    // Validate input
-    if (!accountNumber || !amount) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'accountNumber and amount are required'
-      });
-    }
+    // Same input rules as /transfer; account checks are repeated on every run
+    validateTransferInput({ fromAccount, toAccount, amount });
     
-    if (typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Amount must be a positive number'
-      });
-    }
+    const schedule = parseSchedule(req.body);
+    const now = new Date();
+    const end = endAt ? new Date(endAt) : null;
     
-    // Check if account exists and get current balance
-    const account = await accountsCollection.findOne({ accountNumber });
-    if (!account) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: `Account ${accountNumber} does not exist`
-      });
+    const accountCount = await accountsCollection.countDocuments({
+      accountNumber: { $in: [fromAccount, toAccount] }
+    });
+    if (accountCount !== 2) {
+      throw new BankingError(404, 'Not Found', 'fromAccount and toAccount must both exist');
     }
     
-    // Check sufficient balance
-    if (account.balance < amount) {
-      return res.status(400).json({
-        error: 'Insufficient Funds',
-        message: `Insufficient balance in account ${accountNumber}`,
-        availableBalance: account.balance,
-        requestedAmount: amount,
-        shortfall: amount - account.balance
-      });
-    }
+    const scheduled = {
+      fromAccount,
+      toAccount,
+      amount,
+      description: description || null,
+      schedule,
+      endAt: end,
+      status: 'active',
+      runCount: 0,
+      failureCount: 0,
+      lastRunAt: null,
+      lastRunStatus: null,
+      lastFailureReason: null,
+      createdAt: now
+    };
     
-    // Update balance
-    const result = await accountsCollection.updateOne(
-      { accountNumber },
-      { $inc: { balance: -amount } }
-    );
+    // First run is the first occurrence from now (or from startAt, if later)
+    scheduled.nextRunAt = nextRunWithinEnd(scheduled, new Date(Math.max(now, schedule.startAt) - 1));
+    if (!scheduled.nextRunAt) {
+      throw new BankingError(400, 'Bad Request', 'Schedule has no future runs');
+    }
     
-    // Get updated account
-    const updatedAccount = await accountsCollection.findOne({ accountNumber });
+    const result = await scheduledTransfersCollection.insertOne(scheduled);
     
-    res.json({
-      message: 'Withdrawal successful',
-      transaction: {
-        type: 'WITHDRAWAL',
-        accountNumber: accountNumber,
-        amount: amount,
-        previousBalance: account.balance,
-        newBalance: updatedAccount.balance,
-        timestamp: new Date().toISOString()
-      }
+    res.status(201).json({
+      message: 'Scheduled transfer created successfully',
+      scheduledTransfer: formatDocument({ _id: result.insertedId, ...scheduled })
     });
   } catch (error) {
-    console.error('Error processing withdrawal:', error);
+    if (error instanceof BankingError) {
+      return sendBankingError(res, error);
+    }
+    req.log.error('Error creating scheduled transfer', { error });
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to process withdrawal'
+      message: 'Failed to create scheduled transfer'
     });
   }
 });
 
-// ==============================================
-// MAIN TRANSFER ENDPOINT WITH BALANCE VALIDATION
-// ==============================================
-app.post('/transfer', async (req, res) => {
+// List scheduled transfers
+// Query: accountNumber (either side), status
+app.get('/scheduled-transfers', validate(SCHEMAS.listScheduledTransfers), async (req, res) => {
   try {
-    const { fromAccount, toAccount, amount, description } = req.body;
-    
-    // === STEP 1: Input Validation ===
-    if (!fromAccount || !toAccount || !amount) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'fromAccount, toAccount, and amount are required'
-      });
-    }
-    
-    if (typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Amount must be a positive number'
-      });
-    }
+    const { accountNumber, status } = req.query;
     
-    if (fromAccount === toAccount) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Cannot transfer to the same account'
-      });
+    const query = {};
+    if (accountNumber) {
+      query.$or = [{ fromAccount: accountNumber }, { toAccount: accountNumber }];
     }
+    if (status) query.status = status;
     
-    console.log(`\n💰 Transfer Request: ${fromAccount} → ${toAccount} | Amount: $${amount}`);
+    const scheduled = await scheduledTransfersCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
     
-    // === STEP 2: Verify Sender Account Exists ===
-    const senderAccount = await accountsCollection.findOne({ 
-      accountNumber: fromAccount 
+    res.json({
+      message: 'Scheduled transfers retrieved successfully',
+      count: scheduled.length,
+      scheduledTransfers: scheduled.map(formatDocument)
     });
-    
-    if (!senderAccount) {
-      console.log(`❌ Sender account ${fromAccount} not found`);
-      return res.status(404).json({
-        error: 'Not Found',
-        message: `Sender account ${fromAccount} does not exist`
-      });
-    }
-    
-    // === STEP 3: Verify Receiver Account Exists ===
-    const receiverAccount = await accountsCollection.findOne({ 
-      accountNumber: toAccount 
+  } catch (error) {
+    req.log.error('Error fetching scheduled transfers', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve scheduled transfers'
     });
+  }
+});
+
+// Get a scheduled transfer with its most recent runs
+app.get('/scheduled-transfers/:id', validate(objectIdParams), async (req, res) => {
+  try {
+    const scheduled = await findScheduledTransfer(req, res);
+    if (!scheduled) return;
     
-    if (!receiverAccount) {
-      console.log(`❌ Receiver account ${toAccount} not found`);
-      return res.status(404).json({
-        error: 'Not Found',
-        message: `Receiver account ${toAccount} does not exist`
-      });
-    }
-    
-    // === STEP 4: Check Account Status ===
-    if (senderAccount.status !== 'active') {
-      return res.status(400).json({
-        error: 'Account Inactive',
-        message: `Sender account ${fromAccount} is not active`
-      });
-    }
-    
-    if (receiverAccount.status !== 'active') {
-      return res.status(400).json({
-        error: 'Account Inactive',
-        message: `Receiver account ${toAccount} is not active`
-      });
-    }
+    const runs = await scheduledRunsCollection
+      .find({ scheduledTransferId: scheduled._id })
+      .project({ _id: 0, scheduledTransferId: 0 })
+      .sort({ executedAt: -1 })
+      .limit(20)
+      .toArray();
     
-    // === STEP 5: Validate Sufficient Balance ===
-    console.log(`📊 Sender balance: $${senderAccount.balance} | Required: $${amount}`);
+    res.json({
+      message: 'Scheduled transfer retrieved successfully',
+      scheduledTransfer: formatDocument(scheduled),
+      recentRuns: runs
+    });
+  } catch (error) {
+    req.log.error('Error fetching scheduled transfer', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve scheduled transfer'
+    });
+  }
+});
+
+// Pause, resume or cancel a scheduled transfer. `allowedFrom` lists the
+// statuses the action applies to. Resuming recalculates the next run
+// from now, so runs that fell inside the pause are skipped; a one-off
+// transfer keeps its date and runs straight away if that has passed.
+const SCHEDULE_ACTIONS = {
+  pause: { allowedFrom: ['active'], status: 'paused', message: 'paused' },
+  resume: { allowedFrom: ['paused'], status: 'active', message: 'resumed' },
+  cancel: { allowedFrom: ['active', 'paused'], status: 'cancelled', message: 'cancelled' }
+};
+
+app.post('/scheduled-transfers/:id/:action(pause|resume|cancel)', validate(objectIdParams), async (req, res) => {
+  try {
+    const action = SCHEDULE_ACTIONS[req.params.action];
+    const scheduled = await findScheduledTransfer(req, res);
+    if (!scheduled) return;
     
-    if (senderAccount.balance < amount) {
-      console.log(`❌ Insufficient funds`);
-      return res.status(400).json({
-        error: 'Insufficient Funds',
-        message: `Insufficient balance in account ${fromAccount}`,
-        availableBalance: senderAccount.balance,
-        requestedAmount: amount,
-        shortfall: amount - senderAccount.balance
+    if (!action.allowedFrom.includes(scheduled.status)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Cannot ${req.params.action} a scheduled transfer that is ${scheduled.status}`
       });
     }
     
-    // === STEP 6: Perform Transfer (Sequential Updates) ===
-    console.log(`✅ Validation passed. Proceeding with transfer...`);
-    
-    // Store balances before transfer
-    const senderBalanceBefore = senderAccount.balance;
-    const receiverBalanceBefore = receiverAccount.balance;
-    
-    // Deduct from sender
-    const deductResult = await accountsCollection.updateOne(
-      { accountNumber: fromAccount },
-      { 
-        $inc: { balance: -amount },
-        $set: { lastTransaction: new Date() }
+    const update = { status: action.status };
+    if (req.params.action === 'resume') {
+      update.nextRunAt = scheduled.schedule.type === 'once'
+        ? scheduled.nextRunAt
+        : nextRunWithinEnd(scheduled, new Date(Date.now() - 1));
+      if (!update.nextRunAt) {
+        update.status = 'completed';
       }
-    );
-    
-    if (deductResult.modifiedCount === 0) {
-      console.log(`❌ Failed to deduct from sender`);
-      return res.status(500).json({
-        error: 'Transaction Failed',
-        message: 'Failed to deduct amount from sender account'
-      });
     }
     
-    console.log(`✅ Deducted $${amount} from ${fromAccount}`);
-    
-    // Add to receiver
-    const creditResult = await accountsCollection.updateOne(
-      { accountNumber: toAccount },
-      { 
-        $inc: { balance: amount },
-        $set: { lastTransaction: new Date() }
-      }
+    // Filter on the current status so a concurrent change is not overwritten
+    const result = await scheduledTransfersCollection.updateOne(
+      { _id: scheduled._id, status: scheduled.status },
+      { $set: update }
     );
     
-    if (creditResult.modifiedCount === 0) {
-      console.log(`⚠️ Failed to credit receiver. Rolling back...`);
-      
-      // Rollback: Add money back to sender
-      await accountsCollection.updateOne(
-        { accountNumber: fromAccount },
-        { $inc: { balance: amount } }
-      );
-      
-      return res.status(500).json({
-        error: 'Transaction Failed',
-        message: 'Failed to credit receiver account. Transaction rolled back.'
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Scheduled transfer was modified concurrently, please retry'
       });
     }
     
-    console.log(`✅ Credited $${amount} to ${toAccount}`);
-    
-    // === STEP 7: Get Updated Balances ===
-    const updatedSender = await accountsCollection.findOne({ 
-      accountNumber: fromAccount 
-    });
-    const updatedReceiver = await accountsCollection.findOne({ 
-      accountNumber: toAccount 
-    });
-    
-    console.log(`✅ Transfer completed successfully\n`);
-    
-    // === STEP 8: Return Success Response ===
     res.json({
-      message: 'Transfer completed successfully',
-      transaction: {
-        transactionId: new ObjectId().toString(),
-        type: 'TRANSFER',
-        fromAccount: fromAccount,
-        toAccount: toAccount,
-        amount: amount,
-        description: description || 'Money transfer',
-        sender: {
-          accountNumber: fromAccount,
-          accountHolder: senderAccount.accountHolder,
-          balanceBefore: senderBalanceBefore,
-          balanceAfter: updatedSender.balance
-        },
-        receiver: {
-          accountNumber: toAccount,
-          accountHolder: receiverAccount.accountHolder,
-          balanceBefore: receiverBalanceBefore,
-          balanceAfter: updatedReceiver.balance
-        },
-        status: 'SUCCESS',
-        timestamp: new Date().toISOString()
-      }
+      message: `Scheduled transfer ${action.message} successfully`,
+      scheduledTransfer: formatDocument({ ...scheduled, ...update })
     });
-    
   } catch (error) {
-    console.error('❌ Error processing transfer:', error);
+    req.log.error('Error updating scheduled transfer', { error });
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to process transfer',
-      details: error.message
+      message: 'Failed to update scheduled transfer'
     });
   }
 });
@@ -543,51 +3492,76 @@ app.use((req, res) => {
   });
 });
 
+// Malformed JSON bodies get the same 400 as a schema failure
+app.use(invalidJsonHandler);
+
 // ==============================================
 // START SERVER
 // ==============================================
-connectToDatabase().then(() => {
-  app.listen(PORT, () => {
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`🏦  BANK ACCOUNT TRANSFER SYSTEM`);
-    console.log(`${'='.repeat(70)}`);
-    console.log(`Server running on: http://localhost:${PORT}`);
-    console.log(`Database: ${DB_NAME}`);
-    console.log(`${'='.repeat(70)}\n`);
-    
-    console.log(`📋 Available Endpoints:`);
-    console.log(`   GET  /accounts              - List all accounts`);
-    console.log(`   GET  /accounts/:number      - Get account details`);
-    console.log(`   POST /accounts              - Create new account`);
-    console.log(`   POST /transfer              - Transfer money (main feature)`);
-    console.log(`   POST /deposit               - Deposit money`);
-    console.log(`   POST /withdraw              - Withdraw money\n`);
-    
-    console.log(`🧪 Test Transfer (Successful):`);
-    console.log(`   curl -X POST http://localhost:${PORT}/transfer \\`);
-    console.log(`     -H "Content-Type: application/json" \\`);
-    console.log(`     -d '{`);
-    console.log(`       "fromAccount": "ACC001",`);
-    console.log(`       "toAccount": "ACC002",`);
-    console.log(`       "amount": 500,`);
-    console.log(`       "description": "Payment for services"`);
-    console.log(`     }'\n`);
-    
-    console.log(`🧪 Test Transfer (Insufficient Funds):`);
-    console.log(`   curl -X POST http://localhost:${PORT}/transfer \\`);
-    console.log(`     -H "Content-Type: application/json" \\`);
-    console.log(`     -d '{`);
-    console.log(`       "fromAccount": "ACC004",`);
-    console.log(`       "toAccount": "ACC001",`);
-    console.log(`       "amount": 10000,`);
-    console.log(`       "description": "Large transfer"`);
-    console.log(`     }'\n`);
-    
-    console.log(`🧪 View All Accounts:`);
-    console.log(`   curl http://localhost:${PORT}/accounts\n`);
-    
-    console.log(`${'='.repeat(70)}\n`);
-  });
+// Listen straight away so /healthz and /readyz answer while MongoDB is
+// still connecting (or down)
+connectWithRetry();
+
+app.listen(PORT, () => {
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`🏦  BANK ACCOUNT TRANSFER SYSTEM`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Server running on: http://localhost:${PORT}`);
+  console.log(`Database: ${DB_NAME}`);
+  console.log(`${'='.repeat(70)}\n`);
+  
+  if (ADMIN_API_KEYS.size === 0) {
+    console.log(`⚠️  No ADMIN_API_KEYS configured: admin routes answer 503\n`);
+  } else {
+    console.log(`🔑 Admin keys loaded for: ${[...new Set(ADMIN_API_KEYS.values())].join(', ')}\n`);
+  }
+  
+  console.log(`📋 Available Endpoints:`);
+  console.log(`   GET  /accounts              - List all accounts`);
+  console.log(`   GET  /accounts/:number      - Get account details`);
+  console.log(`   GET  /accounts/:number/transactions - Transaction history`);
+  console.log(`   GET  /accounts/:number/statement    - Statement (CSV or PDF)`);
+  console.log(`   GET  /accounts/:number/limits       - Limits and daily usage`);
+  console.log(`   POST /accounts              - Create new account`);
+  console.log(`   POST /transfer              - Transfer money (main feature)`);
+  console.log(`   POST /deposit               - Deposit money`);
+  console.log(`   POST /withdraw              - Withdraw money`);
+  console.log(`   POST /admin/accounts/:number/freeze|unfreeze|close|reopen - Account status (admin)`);
+  console.log(`   PUT  /admin/accounts/:number/limits - Set limits (admin)`);
+  console.log(`   POST /transactions/:id/reverse      - Reverse a transfer (admin)`);
+  console.log(`   POST /transactions/:id/disputes     - Open a dispute on a transfer`);
+  console.log(`   POST /admin/interest/run    - Run interest job for a date (admin)`);
+  console.log(`   GET  /exchange-rates        - List exchange rates`);
+  console.log(`   PUT  /admin/exchange-rates/:base/:quote - Set a rate (admin)`);
+  console.log(`   POST /scheduled-transfers   - Schedule a one-off or recurring transfer`);
+  console.log(`   GET  /scheduled-transfers   - List scheduled transfers`);
+  console.log(`   GET  /metrics               - Prometheus metrics`);
+  console.log(`   GET  /healthz, /readyz      - Liveness and readiness (pings MongoDB)\n`);
+  
+  console.log(`🧪 Test Transfer (Successful):`);
+  console.log(`   curl -X POST http://localhost:${PORT}/transfer \\`);
+  console.log(`     -H "Content-Type: application/json" \\`);
+  console.log(`     -d '{`);
+  console.log(`       "fromAccount": "ACC001",`);
+  console.log(`       "toAccount": "ACC002",`);
+  console.log(`       "amount": 500,`);
+  console.log(`       "description": "Payment for services"`);
+  console.log(`     }'\n`);
+  
+  console.log(`🧪 Test Transfer (Insufficient Funds):`);
+  console.log(`   curl -X POST http://localhost:${PORT}/transfer \\`);
+  console.log(`     -H "Content-Type: application/json" \\`);
+  console.log(`     -d '{`);
+  console.log(`       "fromAccount": "ACC004",`);
+  console.log(`       "toAccount": "ACC001",`);
+  console.log(`       "amount": 10000,`);
+  console.log(`       "description": "Large transfer"`);
+  console.log(`     }'\n`);
+  
+  console.log(`🧪 View All Accounts:`);
+  console.log(`   curl http://localhost:${PORT}/accounts\n`);
+  
+  console.log(`${'='.repeat(70)}\n`);
 });
 
 // ==============================================
@@ -597,13 +3571,19 @@ connectToDatabase().then(() => {
 📦 INSTALLATION:
 
 1. Install dependencies:
-   npm install express mongodb
+   npm install express mongodb pdfkit
 
-2. Make sure MongoDB is running:
-   mongod
+2. Make sure MongoDB is running as a replica set
+   (multi-document transactions are not available on a standalone mongod):
+   mongod --replSet rs0
+   mongosh --eval "rs.initiate()"
 
-3. Run the application:
+3. Configure admin keys (name:sha256-of-key, comma-separated) and run the
+   application. Without ADMIN_API_KEYS the admin routes answer 503.
+   ADMIN_KEY=$(openssl rand -hex 24)
+   export ADMIN_API_KEYS="ops-admin:$(printf %s "$ADMIN_KEY" | sha256sum | cut -d' ' -f1)"
    node server.js
+   (the examples below send the key as -H "X-Admin-Key: $ADMIN_KEY")
 
 📝 TESTING SCENARIOS:
 
@@ -638,18 +3618,105 @@ connectToDatabase().then(() => {
      -H "Content-Type: application/json" \
      -d '{"accountNumber":"ACC001","amount":200}'
 
+8. Safe retries with an Idempotency-Key (the second call replays the first response):
+   curl -X POST http://localhost:3000/transfer \
+     -H "Content-Type: application/json" \
+     -H "Idempotency-Key: 4f1c2b9e-rent-june" \
+     -d '{"fromAccount":"ACC001","toAccount":"ACC002","amount":500}'
+
+9. Transaction history (filters and pagination are optional):
+   curl "http://localhost:3000/accounts/ACC001/transactions?type=TRANSFER&from=2024-01-01&limit=10"
+   curl "http://localhost:3000/accounts/ACC001/transactions?cursor=<nextCursor from previous page>"
+
+10. Monthly statement:
+   curl -o june.csv "http://localhost:3000/accounts/ACC001/statement?from=2024-06-01&to=2024-06-30&format=csv"
+   curl -o june.pdf "http://localhost:3000/accounts/ACC001/statement?from=2024-06-01&to=2024-06-30&format=pdf"
+
+11. Standing order - rent on the 1st of every month at 09:00 UTC:
+   curl -X POST http://localhost:3000/scheduled-transfers \
+     -H "Content-Type: application/json" \
+     -d '{"fromAccount":"ACC001","toAccount":"ACC002","amount":1200,"description":"Rent","recurrence":"0 9 1 * *"}'
+   (recurrence may also be "daily", "weekly" or "monthly" with an optional startAt,
+    or send "runAt" instead for a one-off transfer)
+
+12. Pause / resume / cancel a scheduled transfer:
+   curl -X POST http://localhost:3000/scheduled-transfers/<id>/pause
+
+13. Multi-currency (amounts are in the sender's currency; balances are
+    stored as integer minor units, e.g. cents):
+   curl -X POST http://localhost:3000/accounts \
+     -H "Content-Type: application/json" \
+     -d '{"accountNumber":"ACC100","accountHolder":"Sam Lee","email":"sam@example.com","currency":"GBP","initialBalance":250.50}'
+   curl -X PUT http://localhost:3000/admin/exchange-rates/USD/GBP \
+     -H "X-Admin-Key: $ADMIN_KEY" \
+     -H "Content-Type: application/json" \
+     -d '{"rate":0.79}'
+   curl -X POST http://localhost:3000/transfer \
+     -H "Content-Type: application/json" \
+     -d '{"fromAccount":"ACC001","toAccount":"ACC005","amount":100}'
+
+14. Freeze an account (unfreeze, close and reopen work the same way;
+    the change appears in statusHistory on GET /accounts/:accountNumber):
+   curl -X POST http://localhost:3000/admin/accounts/ACC003/freeze \
+     -H "X-Admin-Key: $ADMIN_KEY" \
+     -H "Content-Type: application/json" \
+     -d '{"reason":"Suspected card fraud"}'
+
+15. Overdraft and limits (null clears a limit):
+   curl -X PUT http://localhost:3000/admin/accounts/ACC004/limits \
+     -H "X-Admin-Key: $ADMIN_KEY" \
+     -H "Content-Type: application/json" \
+     -d '{"overdraftLimit":200,"dailyOutgoingLimit":1000,"perTransactionLimit":500}'
+   curl http://localhost:3000/accounts/ACC004/limits
+
+16. Reverse a mistaken transfer (202 + PENDING if the receiver has spent the money;
+    post again to retry):
+   curl -X POST http://localhost:3000/transactions/<transactionId>/reverse \
+     -H "X-Admin-Key: $ADMIN_KEY" \
+     -H "Content-Type: application/json" \
+     -d '{"reason":"Sent to wrong account"}'
+
+17. Dispute a transfer, then resolve it (UPHELD reverses the transfer; 202 and
+    REVERSAL_PENDING until the reversal completes, post UPHELD again to retry):
+   curl -X POST http://localhost:3000/transactions/<transactionId>/disputes \
+     -H "Content-Type: application/json" \
+     -d '{"accountNumber":"ACC001","reason":"I did not authorise this"}'
+   curl -X POST http://localhost:3000/admin/disputes/<disputeId>/resolve \
+     -H "X-Admin-Key: $ADMIN_KEY" \
+     -H "Content-Type: application/json" \
+     -d '{"resolution":"UPHELD","notes":"Confirmed fraud"}'
+
+18. Interest and fees (runs daily in the background and catches up on missed
+    days; this runs it for one date. The last day of a month also posts the
+    month's interest and fee, booked on that day. Months already posted are
+    skipped, and a fee the account cannot cover is skipped, not overdrawn):
+   curl -X POST http://localhost:3000/admin/interest/run \
+     -H "X-Admin-Key: $ADMIN_KEY" \
+     -H "Content-Type: application/json" \
+     -d '{"date":"2024-06-30"}'
+
+19. Invalid request (400 listing every failing field):
+   curl -X POST http://localhost:3000/accounts \
+     -H "Content-Type: application/json" \
+     -d '{"accountNumber":"ACC 1","email":"not-an-email","initialBalance":-5}'
+   -> details: body.accountNumber, body.accountHolder is required,
+      body.email, body.initialBalance must be at least 0
+
 🔒 VALIDATION LOGIC:
 The transfer endpoint implements the following checks:
-1. ✅ Input validation (all required fields present)
+1. ✅ Request schema (SCHEMAS.transfer): fields present, typed, no unknown fields
 2. ✅ Amount is positive number
 3. ✅ Cannot transfer to same account
 4. ✅ Sender account exists
 5. ✅ Receiver account exists
 6. ✅ Both accounts are active
 7. ✅ Sender has sufficient balance
-8. ✅ Sequential updates (deduct then credit)
-9. ✅ Rollback on failure (if credit fails)
-10. ✅ Detailed transaction logging
+8. ✅ Per-transaction, daily outgoing and overdraft limits
+9. ✅ Conditional debit (balance + overdraft >= amount re-checked in the update filter)
+10. ✅ Debit and credit committed atomically in one MongoDB transaction
+11. ✅ Automatic retry on transient transaction errors
+12. ✅ Debit and credit ledger entries written in the same transaction
+13. ✅ Detailed transaction logging
 
-This ensures data consistency without database transactions!
+Deposits and withdrawals run inside the same transaction helper.
 */
@@ -3,6 +3,7 @@ const path = require("path");
 const app = express();
 const routes = require("./routes/index");
 const connectDb = require("./config/db");
+const { invalidJsonHandler } = require("../shared/validation");
 
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname + '/index.html'));
@@ -10,8 +11,12 @@ app.get('/', (req, res) => {
 
 connectDb();
 
+app.use(express.json());
 app.use('/api', routes);
 
+// Malformed JSON bodies get the same 400 as a schema failure
+app.use(invalidJsonHandler);
+
 const port = 3000;
 app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
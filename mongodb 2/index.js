@@ -1,11 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require("../controller/studentController");
+const { validate } = require("../shared/validation");
 
-router.post("/students", studentController.createStudent);
+// Request schemas (see shared/validation.js). The Student model still runs
+// its own validators on save; these reject bad input before it gets there.
+const studentFields = {
+    name: { type: "string", maxLength: 100, pattern: /\S/, patternMessage: "must not be blank" },
+    age: { type: "integer", min: 0, max: 150 },
+    course: { type: "string", maxLength: 100, pattern: /\S/, patternMessage: "must not be blank" }
+};
+
+const idParams = {
+    id: { type: "string", format: "object-id" }
+};
+
+const createStudentSchema = {
+    body: Object.fromEntries(
+        Object.entries(studentFields).map(([field, rule]) => [field, { ...rule, required: true }])
+    )
+};
+
+// Updates may change any subset of the fields
+const updateStudentSchema = {
+    params: idParams,
+    body: studentFields
+};
+
+router.post("/students", validate(createStudentSchema), studentController.createStudent);
 router.get("/students", studentController.getStudents);
-router.get("/students/:id", studentController.getStudentById);
-router.put("/students/:id", studentController.updateStudent);
-router.delete("/students/:id", studentController.deleteStudent);
+router.get("/students/:id", validate({ params: idParams }), studentController.getStudentById);
+router.put("/students/:id", validate(updateStudentSchema), studentController.updateStudent);
+router.delete("/students/:id", validate({ params: idParams }), studentController.deleteStudent);
 
 module.exports = router;
\ No newline at end of file
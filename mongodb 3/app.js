@@ -4,6 +4,7 @@ const bodyParser = require("body-parser");
 const app = express();
 const connectDB = require("./config/db");
 const Product = require("./models/Product");
+const { validate, invalidJsonHandler } = require("../shared/validation");
 
 app.use(bodyParser.json());
 
@@ -13,7 +14,40 @@ app.get('/', (req, res) => {
 
 connectDB();
 
-app.post("/products", async (req, res) => {
+// Request schemas (see shared/validation.js)
+const productSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 200, pattern: /\S/, patternMessage: "must not be blank" },
+    price: { type: "number", required: true, min: 0 },
+    category: { type: "string", required: true, maxLength: 100, pattern: /\S/, patternMessage: "must not be blank" },
+    variants: {
+      type: "array",
+      maxItems: 100,
+      items: {
+        type: "object",
+        properties: {
+          color: { type: "string", maxLength: 50 },
+          size: { type: "string", maxLength: 50 },
+          stock: { type: "integer", min: 0 }
+        }
+      }
+    }
+  }
+};
+
+const categoryParams = {
+  params: {
+    category: { type: "string", minLength: 1, maxLength: 100 }
+  }
+};
+
+const productIdParams = {
+  params: {
+    id: { type: "string", format: "object-id" }
+  }
+};
+
+app.post("/products", validate(productSchema), async (req, res) => {
   try {
     const product = new Product(req.body);
     const saved = await product.save();
@@ -32,7 +66,7 @@ app.get("/products", async (req, res) => {
   }
 });
 
-app.get("/products/category/:category", async (req, res) => {
+app.get("/products/category/:category", validate(categoryParams), async (req, res) => {
   try {
     const products = await Product.find({ category: req.params.category });
     res.json(products);
@@ -41,7 +75,7 @@ app.get("/products/category/:category", async (req, res) => {
   }
 });
 
-app.get("/products/:id/variants", async (req, res) => {
+app.get("/products/:id/variants", validate(productIdParams), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id, { variants: 1, _id: 0 });
     if (!product) return res.status(404).json({ error: "Product not found" });
@@ -51,6 +85,9 @@ app.get("/products/:id/variants", async (req, res) => {
   }
 });
 
+// Malformed JSON bodies get the same 400 as a schema failure
+app.use(invalidJsonHandler);
+
 const port = 3000;
 app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
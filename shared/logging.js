@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ==============================================
+// SHARED STRUCTURED LOGGING
+// ==============================================
+// Used by experiment 13, 14 and 15:
+//
+//   const { createLogger, requestLogger } = require('../shared/logging');
+//   const logger = createLogger({ service: 'my-service' });
+//   app.use(requestLogger(logger));
+//
+// Every line is one JSON object. Configuration (options win over env):
+//   LOG_LEVEL  debug | info | warn | error   (default: info)
+//   LOG_FILE   append to this file instead of writing to stdout
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Header and body fields whose values must never reach the logs
+const SENSITIVE_KEY_PATTERN = /authorization|cookie|pass(word)?|secret|token|api[-_]?key|admin[-_]?key|totp|recovery/i;
+const REDACTED = '[REDACTED]';
+
+// Incoming X-Request-Id values are only trusted if they look like an id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Copies `value`, replacing sensitive fields at any depth
+const redact = (value, depth = 0) => {
+  if (Array.isArray(value)) {
+    return depth > 5 ? '[Array]' : value.map((item) => redact(item, depth + 1));
+  }
+
+  if (value && typeof value === 'object') {
+    if (depth > 5) return '[Object]';
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1)
+    ]));
+  }
+
+  return value;
+};
+
+// Query strings can carry secrets too (?token=...)
+const redactUrl = (url) => {
+  const [pathname, query] = url.split('?');
+  if (!query) return url;
+
+  const params = new URLSearchParams(query);
+  for (const key of params.keys()) {
+    if (SENSITIVE_KEY_PATTERN.test(key)) params.set(key, REDACTED);
+  }
+  return `${pathname}?${params}`;
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack
+});
+
+// Error objects anywhere in `fields` are turned into plain objects
+const serializeFields = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+  key,
+  value instanceof Error ? serializeError(value) : value
+]));
+
+// ==============================================
+// LOGGER
+// ==============================================
+const createLogger = ({ service, level = process.env.LOG_LEVEL, file = process.env.LOG_FILE, context = {} } = {}) => {
+  const minimumLevel = LEVELS[level] || LEVELS.info;
+
+  let output = process.stdout;
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    output = fs.createWriteStream(file, { flags: 'a' });
+  }
+
+  const build = (baseContext) => {
+    const write = (levelName, message, fields = {}) => {
+      if (LEVELS[levelName] < minimumLevel) return;
+
+      const line = {
+        time: new Date().toISOString(),
+        level: levelName,
+        service,
+        message,
+        ...baseContext,
+        ...serializeFields(fields)
+      };
+      output.write(`${JSON.stringify(line)}\n`);
+    };
+
+    return {
+      debug: (message, fields) => write('debug', message, fields),
+      info: (message, fields) => write('info', message, fields),
+      warn: (message, fields) => write('warn', message, fields),
+      error: (message, fields) => write('error', message, fields),
+      isLevelEnabled: (levelName) => LEVELS[levelName] >= minimumLevel,
+      // A logger that adds `extra` to every line (e.g. the request id)
+      child: (extra) => build({ ...baseContext, ...extra })
+    };
+  };
+
+  return build(context);
+};
+
+// ==============================================
+// MIDDLEWARE: REQUEST LOGGER
+// ==============================================
+
+// Who made the request, from whatever the service's auth middleware set
+const defaultIdentify = (req) => {
+  if (req.user) return { type: 'user', username: req.user.username, role: req.user.role };
+  if (req.apiKey) return { type: 'apiKey', id: req.apiKey.id, name: req.apiKey.name };
+  if (req.admin) return { type: 'admin', name: req.admin };
+  return undefined;
+};
+
+// Assigns (or propagates) X-Request-Id, exposes req.id and req.log, and
+// writes one line per request when the response finishes. 5xx responses
+// are logged at error level, 4xx at warn, everything else at info.
+// Route handlers can set res.locals.error to attach an error to the line.
+const requestLogger = (logger, { identify = defaultIdentify } = {}) => (req, res, next) => {
+  const incomingId = req.headers['x-request-id'];
+  const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId)
+    ? incomingId
+    : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.setHeader('X-Request-Id', requestId);
+
+  let logged = false;
+  const logCompletion = () => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.statusCode;
+    const fields = {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      identity: identify(req)
+    };
+
+    if (!res.writableFinished) {
+      fields.aborted = true;
+    }
+
+    if (res.locals.error) {
+      fields.error = res.locals.error;
+    }
+
+    // Full (redacted) headers and body only at debug level
+    if (logger.isLevelEnabled('debug')) {
+      fields.headers = redact(req.headers);
+      fields.body = redact(req.body);
+    }
+
+    const levelName = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    req.log[levelName]('request completed', fields);
+  };
+
+  res.on('finish', logCompletion);
+  res.on('close', logCompletion);
+  next();
+};
+
+module.exports = {
+  createLogger,
+  requestLogger,
+  redact
+};
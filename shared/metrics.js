@@ -0,0 +1,165 @@
+// ==============================================
+// SHARED METRICS AND HEALTH CHECKS
+// ==============================================
+// Used by experiment 13, 14 and 15:
+//
+//   const { createMetrics, createHealthChecks } = require('../shared/metrics');
+//   const metrics = createMetrics();
+//   const health = createHealthChecks({ checks: { database: pingDatabase } });
+//   app.use(metrics.middleware);
+//   app.get('/metrics', metrics.handler);
+//   app.get('/healthz', health.liveness);
+//   app.get('/readyz', health.readiness);
+//
+// Metrics are exposed in the Prometheus text format (version 0.0.4).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Route template rather than the raw URL, so /accounts/ACC001 and
+// /accounts/ACC002 share one series. Requests that matched no route are
+// grouped together to keep the number of series bounded.
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// ==============================================
+// METRICS
+// ==============================================
+const createMetrics = ({ buckets = DEFAULT_BUCKETS } = {}) => {
+  // Keyed by the formatted label set
+  const requestCounts = new Map();
+  const durations = new Map();
+
+  const observe = (labels, seconds) => {
+    const key = formatLabels(labels);
+
+    requestCounts.set(key, (requestCounts.get(key) || 0) + 1);
+
+    let histogram = durations.get(key);
+    if (!histogram) {
+      histogram = { labels, bucketCounts: buckets.map(() => 0), sum: 0, count: 0 };
+      durations.set(key, histogram);
+    }
+    buckets.forEach((bound, index) => {
+      if (seconds <= bound) histogram.bucketCounts[index] += 1;
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+  };
+
+  const middleware = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      observe({ method: req.method, route: routeLabel(req), status: res.statusCode }, seconds);
+    });
+
+    next();
+  };
+
+  const render = () => {
+    const lines = [];
+
+    lines.push('# HELP http_requests_total Total number of HTTP requests.');
+    lines.push('# TYPE http_requests_total counter');
+    requestCounts.forEach((count, key) => {
+      lines.push(`http_requests_total${key} ${count}`);
+    });
+
+    lines.push('# HELP http_request_duration_seconds HTTP request latency in seconds.');
+    lines.push('# TYPE http_request_duration_seconds histogram');
+    durations.forEach((histogram) => {
+      buckets.forEach((bound, index) => {
+        const labels = formatLabels({ ...histogram.labels, le: bound });
+        lines.push(`http_request_duration_seconds_bucket${labels} ${histogram.bucketCounts[index]}`);
+      });
+      lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...histogram.labels, le: '+Inf' })} ${histogram.count}`);
+      lines.push(`http_request_duration_seconds_sum${formatLabels(histogram.labels)} ${histogram.sum}`);
+      lines.push(`http_request_duration_seconds_count${formatLabels(histogram.labels)} ${histogram.count}`);
+    });
+
+    const memory = process.memoryUsage();
+    lines.push('# HELP process_uptime_seconds Time since the process started.');
+    lines.push('# TYPE process_uptime_seconds gauge');
+    lines.push(`process_uptime_seconds ${process.uptime()}`);
+    lines.push('# HELP process_resident_memory_bytes Resident memory size in bytes.');
+    lines.push('# TYPE process_resident_memory_bytes gauge');
+    lines.push(`process_resident_memory_bytes ${memory.rss}`);
+    lines.push('# HELP nodejs_heap_used_bytes V8 heap used in bytes.');
+    lines.push('# TYPE nodejs_heap_used_bytes gauge');
+    lines.push(`nodejs_heap_used_bytes ${memory.heapUsed}`);
+
+    return `${lines.join('\n')}\n`;
+  };
+
+  const handler = (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(render());
+  };
+
+  return { middleware, handler, render };
+};
+
+// ==============================================
+// HEALTH CHECKS
+// ==============================================
+
+// Rejects if `promise` takes longer than `ms`
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// `checks` maps a name to a function that throws (or rejects) when the
+// dependency is not usable. Liveness only says the process is serving
+// requests; readiness runs every check.
+const createHealthChecks = ({ checks = {}, timeoutMs = 2000 } = {}) => {
+  const liveness = (req, res) => {
+    res.json({
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  const readiness = async (req, res) => {
+    const results = {};
+
+    await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      try {
+        await withTimeout(Promise.resolve().then(check), timeoutMs);
+        results[name] = { status: 'ok' };
+      } catch (error) {
+        results[name] = { status: 'error', message: error.message };
+      }
+    }));
+
+    const ready = Object.values(results).every((result) => result.status === 'ok');
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      checks: results,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  return { liveness, readiness };
+};
+
+module.exports = {
+  createMetrics,
+  createHealthChecks
+};
@@ -0,0 +1,200 @@
+// ==============================================
+// SHARED REQUEST VALIDATION
+// ==============================================
+// Declarative schemas for req.body, req.query and req.params:
+//
+//   const { validate } = require('../shared/validation');
+//
+//   app.post('/deposit', validate({
+//     body: {
+//       accountNumber: { type: 'string', required: true, pattern: /^ACC\d+$/ },
+//       amount: { type: 'number', required: true, exclusiveMin: 0 }
+//     }
+//   }), handler);
+//
+// Rules for a field:
+//   type          'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+//   required      the field must be present (not undefined or null)
+//   enum          list of allowed values
+//   min, max, exclusiveMin, exclusiveMax        numbers
+//   minLength, maxLength, pattern, format       strings (format: 'email' | 'date-time' | 'object-id')
+//   minItems, maxItems, items                   arrays (items is a rule for each element)
+//   properties, allowUnknown                    objects (nested field rules)
+//   check         (value) => error message or undefined, for anything else
+//
+// Unknown body fields are rejected unless the schema is given as
+// { properties, allowUnknown: true }. Unknown query and route parameters
+// are always allowed. Query and route parameters arrive as strings, so
+// number, integer and boolean fields are converted before checking and the
+// converted values are written back to req.query / req.params.
+//
+// Any failure answers 400 with every failing path (invalidJsonHandler does
+// the same for bodies that are not valid JSON):
+//   { error: 'Bad Request', message: 'Request validation failed',
+//     details: [{ path: 'body.amount', message: 'is required' }] }
+
+const FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'must be a valid email address' },
+  'date-time': { test: (value) => !Number.isNaN(Date.parse(value)), message: 'must be a valid date' },
+  'object-id': { pattern: /^[0-9a-fA-F]{24}$/, message: 'must be a 24 character hex id' }
+};
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value)
+};
+
+// Turns query/param strings into the declared type where possible
+const coerce = (value, type) => {
+  if (typeof value !== 'string') return value;
+
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// Accepts either a map of field rules or { properties, allowUnknown }
+const normalizeObjectSchema = (schema) => (
+  schema.properties && typeof schema.properties === 'object' && !schema.type
+    ? schema
+    : { properties: schema }
+);
+
+// Checks `value` against `rule`, pushing { path, message } onto `errors`
+const checkValue = (value, rule, path, errors) => {
+  const fail = (message) => errors.push({ path, message });
+
+  if (value === undefined || value === null) {
+    if (rule.required) fail('is required');
+    return;
+  }
+
+  if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+    fail(`must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type} (got ${describeType(value)})`);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) fail(`must be at most ${rule.max}`);
+    if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) fail(`must be greater than ${rule.exclusiveMin}`);
+    if (rule.exclusiveMax !== undefined && value >= rule.exclusiveMax) fail(`must be less than ${rule.exclusiveMax}`);
+  }
+
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail(rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) fail(`must be at most ${rule.maxLength} characters`);
+    if (rule.pattern && !rule.pattern.test(value)) fail(rule.patternMessage || `must match ${rule.pattern}`);
+
+    const format = rule.format && FORMATS[rule.format];
+    if (format && !(format.pattern ? format.pattern.test(value) : format.test(value))) fail(format.message);
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) fail(`must contain at least ${rule.minItems} items`);
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) fail(`must contain at most ${rule.maxItems} items`);
+    if (rule.items) {
+      value.forEach((item, index) => checkValue(item, rule.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (rule.properties && TYPE_CHECKS.object(value)) {
+    checkObject(value, rule, path, errors);
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) fail(message);
+  }
+};
+
+function checkObject(value, { properties, allowUnknown = false }, path, errors) {
+  Object.entries(properties).forEach(([name, rule]) => {
+    checkValue(value[name], rule, `${path}.${name}`, errors);
+  });
+
+  if (!allowUnknown) {
+    Object.keys(value)
+      .filter((name) => !Object.prototype.hasOwnProperty.call(properties, name))
+      .forEach((name) => errors.push({ path: `${path}.${name}`, message: 'is not allowed' }));
+  }
+}
+
+// Validates one request source and returns its list of errors
+const validateSource = (req, source, schema) => {
+  const errors = [];
+  const { properties, allowUnknown } = normalizeObjectSchema(schema);
+
+  if (source === 'body') {
+    const body = req.body === undefined ? {} : req.body;
+    if (!TYPE_CHECKS.object(body)) {
+      return [{ path: 'body', message: `must be a JSON object (got ${describeType(body)})` }];
+    }
+    checkObject(body, { properties, allowUnknown }, 'body', errors);
+    return errors;
+  }
+
+  // Query and route parameters: convert, write back, then check
+  const values = req[source];
+  Object.entries(properties).forEach(([name, rule]) => {
+    if (values[name] !== undefined) {
+      values[name] = coerce(values[name], rule.type);
+    }
+  });
+  checkObject(values, { properties, allowUnknown: true }, source, errors);
+  return errors;
+};
+
+const validate = (schemas) => (req, res, next) => {
+  const errors = ['params', 'query', 'body']
+    .filter((source) => schemas[source])
+    .flatMap((source) => validateSource(req, source, schemas[source]));
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Request validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Error middleware for bodies express.json() could not parse, so they get
+// the same 400 shape as a schema failure instead of reaching the 500 handler.
+// Register it before the service's global error handler.
+const invalidJsonHandler = (err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+
+  res.status(400).json({
+    error: 'Bad Request',
+    message: 'Request validation failed',
+    details: [{ path: 'body', message: 'must be valid JSON' }]
+  });
+};
+
+module.exports = {
+  validate,
+  invalidJsonHandler
+};